@@ -14,6 +14,9 @@ const config = {
       secret: process.env.JWT_SECRET || 'your-secret-key',
       expiresIn: '7d'
     },
+    cookies: {
+      secret: process.env.COOKIE_SECRET || 'your-cookie-secret-key'
+    },
     email: {
       service: 'gmail',
       user: process.env.EMAIL_USER,
@@ -30,8 +33,121 @@ const config = {
       auth: 100000, // Effectively disabled
       upload: 100000 // Effectively disabled
     },
-    shippingFee: 49, // default shipping fee in INR
+    timeZone: 'Asia/Kolkata', // day boundaries for order numbers and reports
+    shippingFee: 49, // default shipping fee in INR ('shipping' setting), used until the pincode is known
     freeShippingThreshold: 500, // free shipping above this amount in INR
+    shipping: { // defaults for the 'shipping' setting's zones (utils/shipping.js)
+      defaultItemWeight: 250, // grams, for products with no weight or size in grams
+      // Pincodes match the zone with the longest matching prefix, else a zone
+      // listing the delivery state. Pincodes no zone matches aren't serviceable.
+      zones: [
+        {
+          code: 'metro',
+          name: 'Metro cities',
+          pincodePrefixes: ['11', '40', '50', '56', '60', '70'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 40 }, { maxWeight: 1000, rate: 60 }], // grams, INR
+          extraPer500g: 25, // above the last slab
+          freeShippingThreshold: 500,
+          etaDays: { min: 2, max: 3 }
+        },
+        {
+          code: 'special',
+          name: 'North East, Jammu & Kashmir and islands',
+          pincodePrefixes: ['18', '19', '744', '78', '79'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 80 }, { maxWeight: 1000, rate: 120 }],
+          extraPer500g: 50,
+          freeShippingThreshold: 999,
+          etaDays: { min: 6, max: 9 }
+        },
+        {
+          code: 'national',
+          name: 'Rest of India',
+          pincodePrefixes: ['1', '2', '3', '4', '5', '6', '7', '8'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 49 }, { maxWeight: 1000, rate: 75 }],
+          extraPer500g: 30,
+          freeShippingThreshold: 500,
+          etaDays: { min: 4, max: 6 }
+        }
+      ]
+    },
+    dispatch: { // defaults for the 'dispatch' setting (utils/eta.js)
+      cutoffTime: '14:00', // orders placed later (store time) leave the warehouse the next working day
+      weeklyOffDays: [0], // days the warehouse doesn't dispatch, 0 = Sunday
+      holidays: [] // 'YYYY-MM-DD' days the warehouse is closed
+    },
+    cod: { // defaults for the 'cod' setting (utils/settings.js)
+      enabled: true,
+      maxOrderValue: 5000, // COD is refused above this order value in INR
+      serviceablePincodes: [], // pincodes where COD is offered; empty means everywhere
+      maxRefusals: 2, // refused COD deliveries before a customer loses COD
+      fee: 0 // COD surcharge in INR added to the order total
+    },
+    cart: {
+      guestCookieName: 'vb_guest_cart',
+      guestCartTtlDays: 30
+    },
+    stockHold: {
+      minutes: 30, // unpaid online orders release their stock after this long
+      sweepIntervalMs: 60 * 1000
+    },
+    idempotency: {
+      windowHours: 24, // replays of an Idempotency-Key within this window return the stored response
+      leaseSeconds: 60 // a request still processing after this long is presumed dead and its key can be retried
+    },
+    returns: {
+      windowDays: 7, // returns can be requested this many days after delivery
+      maxPhotos: 5
+    },
+    webhooks: {
+      retentionDays: 30 // processed gateway event IDs are remembered this long
+    },
+    reconciliation: {
+      intervalMs: 30 * 60 * 1000,
+      staleMinutes: 15, // unpaid online orders older than this are checked with the gateway
+      lookbackDays: 7, // orders older than this are left alone
+      batchSize: 100
+    },
+    tax: {
+      pricesIncludeTax: true, // catalogue prices already contain GST
+      defaultRate: 5, // GST percent for products without gstRate or a category rate
+      rateByCategory: {
+        Makhana: 5,
+        Chips: 5
+      }
+    },
+    invoice: {
+      prefix: 'VB', // invoice numbers look like VB/2026-27/00001
+      seller: {
+        name: process.env.SELLER_NAME || 'VIBE BITES',
+        address: process.env.SELLER_ADDRESS || '',
+        state: process.env.SELLER_STATE || '',
+        gstin: process.env.SELLER_GSTIN || ''
+      },
+      hsnByCategory: {
+        Makhana: '20081990', // roasted and flavoured fox nuts
+        Chips: '20052000' // potato chips
+      },
+      defaultHsn: '21069099' // food preparations not elsewhere specified
+    },
+    settings: {
+      cacheSeconds: 60, // admin-changed settings reach other server instances within this long
+      historyLimit: 50 // changes kept per setting
+    },
+    payments: {
+      mockEnabled: process.env.ENABLE_MOCK_PAYMENTS === 'true' // in-memory 'mock' provider; it marks orders paid without taking money
+    },
+    couriers: {
+      default: process.env.COURIER || 'fake', // courier that ships orders when they move to processing
+      fakeEnabled: process.env.ENABLE_FAKE_COURIER === 'true', // in-memory 'fake' courier; its webhook is unsigned
+      trackingSync: {
+        intervalMs: 30 * 60 * 1000,
+        staleMinutes: 60, // shipments are polled again after this long
+        batchSize: 100
+      }
+    },
     security: {
       bcryptRounds: 12,
       maxPasswordLength: 128,
@@ -53,6 +169,9 @@ const config = {
       secret: process.env.JWT_SECRET,
       expiresIn: '7d'
     },
+    cookies: {
+      secret: process.env.COOKIE_SECRET
+    },
     email: {
       service: 'gmail',
       user: process.env.EMAIL_USER,
@@ -69,8 +188,121 @@ const config = {
       auth: 100000, // Effectively disabled
       upload: 100000 // Effectively disabled
     },
-    shippingFee: 49, // default shipping fee in INR
+    timeZone: 'Asia/Kolkata', // day boundaries for order numbers and reports
+    shippingFee: 49, // default shipping fee in INR ('shipping' setting), used until the pincode is known
     freeShippingThreshold: 500, // free shipping above this amount in INR
+    shipping: { // defaults for the 'shipping' setting's zones (utils/shipping.js)
+      defaultItemWeight: 250, // grams, for products with no weight or size in grams
+      // Pincodes match the zone with the longest matching prefix, else a zone
+      // listing the delivery state. Pincodes no zone matches aren't serviceable.
+      zones: [
+        {
+          code: 'metro',
+          name: 'Metro cities',
+          pincodePrefixes: ['11', '40', '50', '56', '60', '70'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 40 }, { maxWeight: 1000, rate: 60 }], // grams, INR
+          extraPer500g: 25, // above the last slab
+          freeShippingThreshold: 500,
+          etaDays: { min: 2, max: 3 }
+        },
+        {
+          code: 'special',
+          name: 'North East, Jammu & Kashmir and islands',
+          pincodePrefixes: ['18', '19', '744', '78', '79'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 80 }, { maxWeight: 1000, rate: 120 }],
+          extraPer500g: 50,
+          freeShippingThreshold: 999,
+          etaDays: { min: 6, max: 9 }
+        },
+        {
+          code: 'national',
+          name: 'Rest of India',
+          pincodePrefixes: ['1', '2', '3', '4', '5', '6', '7', '8'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 49 }, { maxWeight: 1000, rate: 75 }],
+          extraPer500g: 30,
+          freeShippingThreshold: 500,
+          etaDays: { min: 4, max: 6 }
+        }
+      ]
+    },
+    dispatch: { // defaults for the 'dispatch' setting (utils/eta.js)
+      cutoffTime: '14:00', // orders placed later (store time) leave the warehouse the next working day
+      weeklyOffDays: [0], // days the warehouse doesn't dispatch, 0 = Sunday
+      holidays: [] // 'YYYY-MM-DD' days the warehouse is closed
+    },
+    cod: { // defaults for the 'cod' setting (utils/settings.js)
+      enabled: true,
+      maxOrderValue: 5000, // COD is refused above this order value in INR
+      serviceablePincodes: [], // pincodes where COD is offered; empty means everywhere
+      maxRefusals: 2, // refused COD deliveries before a customer loses COD
+      fee: 0 // COD surcharge in INR added to the order total
+    },
+    cart: {
+      guestCookieName: 'vb_guest_cart',
+      guestCartTtlDays: 30
+    },
+    stockHold: {
+      minutes: 30, // unpaid online orders release their stock after this long
+      sweepIntervalMs: 60 * 1000
+    },
+    idempotency: {
+      windowHours: 24, // replays of an Idempotency-Key within this window return the stored response
+      leaseSeconds: 60 // a request still processing after this long is presumed dead and its key can be retried
+    },
+    returns: {
+      windowDays: 7, // returns can be requested this many days after delivery
+      maxPhotos: 5
+    },
+    webhooks: {
+      retentionDays: 30 // processed gateway event IDs are remembered this long
+    },
+    reconciliation: {
+      intervalMs: 30 * 60 * 1000,
+      staleMinutes: 15, // unpaid online orders older than this are checked with the gateway
+      lookbackDays: 7, // orders older than this are left alone
+      batchSize: 100
+    },
+    tax: {
+      pricesIncludeTax: true, // catalogue prices already contain GST
+      defaultRate: 5, // GST percent for products without gstRate or a category rate
+      rateByCategory: {
+        Makhana: 5,
+        Chips: 5
+      }
+    },
+    invoice: {
+      prefix: 'VB', // invoice numbers look like VB/2026-27/00001
+      seller: {
+        name: process.env.SELLER_NAME || 'VIBE BITES',
+        address: process.env.SELLER_ADDRESS || '',
+        state: process.env.SELLER_STATE || '',
+        gstin: process.env.SELLER_GSTIN || ''
+      },
+      hsnByCategory: {
+        Makhana: '20081990', // roasted and flavoured fox nuts
+        Chips: '20052000' // potato chips
+      },
+      defaultHsn: '21069099' // food preparations not elsewhere specified
+    },
+    settings: {
+      cacheSeconds: 60, // admin-changed settings reach other server instances within this long
+      historyLimit: 50 // changes kept per setting
+    },
+    payments: {
+      mockEnabled: process.env.ENABLE_MOCK_PAYMENTS === 'true' // the mock provider marks orders paid without taking money
+    },
+    couriers: {
+      default: process.env.COURIER || 'fake', // courier that ships orders when they move to processing
+      fakeEnabled: process.env.ENABLE_FAKE_COURIER === 'true', // in-memory 'fake' courier; its webhook is unsigned
+      trackingSync: {
+        intervalMs: 30 * 60 * 1000,
+        staleMinutes: 60, // shipments are polled again after this long
+        batchSize: 100
+      }
+    },
     security: {
       bcryptRounds: 14,
       maxPasswordLength: 128,
@@ -92,6 +324,9 @@ const config = {
       secret: 'test-secret-key',
       expiresIn: '1h'
     },
+    cookies: {
+      secret: 'test-cookie-secret-key'
+    },
     email: {
       service: 'gmail',
       user: 'test@test.com',
@@ -108,8 +343,121 @@ const config = {
       auth: 50,
       upload: 20
     },
-    shippingFee: 49, // default shipping fee in INR
+    timeZone: 'Asia/Kolkata', // day boundaries for order numbers and reports
+    shippingFee: 49, // default shipping fee in INR ('shipping' setting), used until the pincode is known
     freeShippingThreshold: 500, // free shipping above this amount in INR
+    shipping: { // defaults for the 'shipping' setting's zones (utils/shipping.js)
+      defaultItemWeight: 250, // grams, for products with no weight or size in grams
+      // Pincodes match the zone with the longest matching prefix, else a zone
+      // listing the delivery state. Pincodes no zone matches aren't serviceable.
+      zones: [
+        {
+          code: 'metro',
+          name: 'Metro cities',
+          pincodePrefixes: ['11', '40', '50', '56', '60', '70'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 40 }, { maxWeight: 1000, rate: 60 }], // grams, INR
+          extraPer500g: 25, // above the last slab
+          freeShippingThreshold: 500,
+          etaDays: { min: 2, max: 3 }
+        },
+        {
+          code: 'special',
+          name: 'North East, Jammu & Kashmir and islands',
+          pincodePrefixes: ['18', '19', '744', '78', '79'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 80 }, { maxWeight: 1000, rate: 120 }],
+          extraPer500g: 50,
+          freeShippingThreshold: 999,
+          etaDays: { min: 6, max: 9 }
+        },
+        {
+          code: 'national',
+          name: 'Rest of India',
+          pincodePrefixes: ['1', '2', '3', '4', '5', '6', '7', '8'],
+          states: [],
+          slabs: [{ maxWeight: 500, rate: 49 }, { maxWeight: 1000, rate: 75 }],
+          extraPer500g: 30,
+          freeShippingThreshold: 500,
+          etaDays: { min: 4, max: 6 }
+        }
+      ]
+    },
+    dispatch: { // defaults for the 'dispatch' setting (utils/eta.js)
+      cutoffTime: '14:00', // orders placed later (store time) leave the warehouse the next working day
+      weeklyOffDays: [0], // days the warehouse doesn't dispatch, 0 = Sunday
+      holidays: [] // 'YYYY-MM-DD' days the warehouse is closed
+    },
+    cod: { // defaults for the 'cod' setting (utils/settings.js)
+      enabled: true,
+      maxOrderValue: 5000, // COD is refused above this order value in INR
+      serviceablePincodes: [], // pincodes where COD is offered; empty means everywhere
+      maxRefusals: 2, // refused COD deliveries before a customer loses COD
+      fee: 0 // COD surcharge in INR added to the order total
+    },
+    cart: {
+      guestCookieName: 'vb_guest_cart',
+      guestCartTtlDays: 30
+    },
+    stockHold: {
+      minutes: 30, // unpaid online orders release their stock after this long
+      sweepIntervalMs: 60 * 1000
+    },
+    idempotency: {
+      windowHours: 24, // replays of an Idempotency-Key within this window return the stored response
+      leaseSeconds: 60 // a request still processing after this long is presumed dead and its key can be retried
+    },
+    returns: {
+      windowDays: 7, // returns can be requested this many days after delivery
+      maxPhotos: 5
+    },
+    webhooks: {
+      retentionDays: 30 // processed gateway event IDs are remembered this long
+    },
+    reconciliation: {
+      intervalMs: 30 * 60 * 1000,
+      staleMinutes: 15, // unpaid online orders older than this are checked with the gateway
+      lookbackDays: 7, // orders older than this are left alone
+      batchSize: 100
+    },
+    tax: {
+      pricesIncludeTax: true, // catalogue prices already contain GST
+      defaultRate: 5, // GST percent for products without gstRate or a category rate
+      rateByCategory: {
+        Makhana: 5,
+        Chips: 5
+      }
+    },
+    invoice: {
+      prefix: 'VB', // invoice numbers look like VB/2026-27/00001
+      seller: {
+        name: process.env.SELLER_NAME || 'VIBE BITES',
+        address: process.env.SELLER_ADDRESS || '',
+        state: process.env.SELLER_STATE || '',
+        gstin: process.env.SELLER_GSTIN || ''
+      },
+      hsnByCategory: {
+        Makhana: '20081990', // roasted and flavoured fox nuts
+        Chips: '20052000' // potato chips
+      },
+      defaultHsn: '21069099' // food preparations not elsewhere specified
+    },
+    settings: {
+      cacheSeconds: 60, // admin-changed settings reach other server instances within this long
+      historyLimit: 50 // changes kept per setting
+    },
+    payments: {
+      mockEnabled: process.env.ENABLE_MOCK_PAYMENTS === 'true' // in-memory 'mock' provider; it marks orders paid without taking money
+    },
+    couriers: {
+      default: process.env.COURIER || 'fake', // courier that ships orders when they move to processing
+      fakeEnabled: process.env.ENABLE_FAKE_COURIER === 'true', // in-memory 'fake' courier; its webhook is unsigned
+      trackingSync: {
+        intervalMs: 30 * 60 * 1000,
+        staleMinutes: 60, // shipments are polled again after this long
+        batchSize: 100
+      }
+    },
     security: {
       bcryptRounds: 4, // faster for testing
       maxPasswordLength: 128,
@@ -0,0 +1,182 @@
+const Order = require('../models/Order');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { getDateKey } = require('../utils/dates');
+const { getOrderProviderName, getProvider } = require('../utils/paymentProviders');
+const { markOrderPaid } = require('../utils/orderPayments');
+
+// Order statuses that mean the order went ahead as if it were paid
+const CONFIRMED_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+// Ask the order's payment provider what happened to its payment.
+// `clients` overrides the gateway clients ({ stripe, razorpay }).
+// Resolves to { gateway, status: 'paid' | 'failed' | 'pending' | 'not_found', paymentId, amountPaid, paymentDetails }
+const lookupPayment = async (order, clients = {}) => {
+  const gateway = getOrderProviderName(order);
+  const provider = getProvider(gateway, clients);
+  if (!provider) {
+    throw new Error(`Payment provider ${gateway} is not available`);
+  }
+
+  const result = await provider.lookupPayment(order);
+  return { gateway, ...result };
+};
+
+// Report entry; statuses are the order's as found, before any fix
+const describeDiscrepancy = (found, type, payment, resolved, note) => ({
+  ...found,
+  type,
+  gateway: payment.gateway,
+  gatewayStatus: payment.status,
+  gatewayPaymentId: payment.paymentId,
+  resolved,
+  note
+});
+
+// Check one order against its gateway and fix what can be fixed safely.
+// Resolves to { fixed, discrepancy } where discrepancy is null if nothing was wrong.
+const reconcileOrder = async (order, { clients = {}, now = new Date() } = {}) => {
+  const payment = await lookupPayment(order, clients);
+  const found = {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    paymentStatus: order.paymentStatus,
+    orderStatus: order.orderStatus,
+    amount: order.total
+  };
+
+  if (payment.status === 'paid') {
+    const result = await markOrderPaid(order, {
+      paymentDetails: payment.paymentDetails,
+      amountPaid: payment.amountPaid,
+      clients
+    });
+
+    if (result.error) {
+      return {
+        fixed: false,
+        discrepancy: describeDiscrepancy(found, 'paid_but_pending', payment, false, result.error)
+      };
+    }
+
+    // The order was cancelled (its stock released) before the payment was seen
+    if ('refund' in result) {
+      const refunded = Boolean(result.refund) && result.refund.status !== 'failed';
+      return {
+        fixed: true,
+        discrepancy: describeDiscrepancy(found, 'paid_after_cancel', payment, refunded,
+          refunded ? 'Payment refunded automatically' : 'Automatic refund failed; refund it manually')
+      };
+    }
+
+    return {
+      fixed: !result.alreadyPaid,
+      discrepancy: describeDiscrepancy(found, 'paid_but_pending', payment, true, 'Marked paid from the gateway')
+    };
+  }
+
+  // Nothing captured, so the order shouldn't have gone ahead
+  if (CONFIRMED_STATUSES.includes(order.orderStatus)) {
+    return {
+      fixed: false,
+      discrepancy: describeDiscrepancy(found, 'failed_but_confirmed', payment, false,
+        `Order is ${order.orderStatus} but the gateway payment is ${payment.status}`)
+    };
+  }
+
+  // A confirmation that died after claiming the payment leaves it "processing";
+  // hand it back to the stock hold sweeper
+  if (order.paymentStatus === 'processing') {
+    const staleBefore = new Date(now.getTime() - config.reconciliation.staleMinutes * 60 * 1000);
+    const reset = await Order.updateOne(
+      { _id: order._id, paymentStatus: 'processing', updatedAt: { $lte: staleBefore } },
+      { $set: { paymentStatus: payment.status === 'failed' ? 'failed' : 'pending' } }
+    );
+    return { fixed: reset.modifiedCount > 0, discrepancy: null };
+  }
+
+  return { fixed: false, discrepancy: null };
+};
+
+// Online orders worth checking: unpaid ones past the stale threshold,
+// confirmed ones that were never marked paid, and ones cancelled when their
+// stock hold expired (a late payment must be refunded)
+const findOrdersToReconcile = (now) => {
+  const { staleMinutes, lookbackDays, batchSize } = config.reconciliation;
+  const staleBefore = new Date(now.getTime() - staleMinutes * 60 * 1000);
+  const notBefore = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+  return Order.find({
+    paymentMethod: { $ne: 'cod' },
+    createdAt: { $gte: notBefore, $lte: staleBefore },
+    $or: [
+      { paymentStatus: { $in: ['pending', 'processing'] }, orderStatus: { $ne: 'cancelled' } },
+      { paymentStatus: { $in: ['pending', 'processing', 'failed'] }, orderStatus: { $in: CONFIRMED_STATUSES } },
+      { paymentStatus: 'failed', orderStatus: 'cancelled', 'stockHold.releasedAt': { $ne: null } }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(batchSize);
+};
+
+// Reconcile stale online orders and record the run in today's report.
+// Resolves to the updated report.
+const runPaymentReconciliation = async ({ clients = {}, now = new Date() } = {}) => {
+  const orders = await findOrdersToReconcile(now);
+
+  let fixed = 0;
+  let lookupErrors = 0;
+  const discrepancies = [];
+
+  for (const order of orders) {
+    try {
+      const result = await reconcileOrder(order, { clients, now });
+      if (result.fixed) fixed++;
+      if (result.discrepancy) discrepancies.push(result.discrepancy);
+    } catch (error) {
+      lookupErrors++;
+      logger.error(`Payment reconciliation failed for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  const report = await ReconciliationReport.recordRun(getDateKey(now), {
+    checked: orders.length,
+    fixed,
+    lookupErrors,
+    discrepancies,
+    ranAt: now
+  });
+
+  logger.info(`Payment reconciliation checked ${orders.length} orders, fixed ${fixed}, found ${discrepancies.length} discrepancies`);
+  return report;
+};
+
+// Run the reconciler on an interval. Returns the timer so callers can stop it.
+const startPaymentReconciler = (intervalMs = config.reconciliation.intervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runPaymentReconciliation();
+    } catch (error) {
+      logger.error('Payment reconciler error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the reconciler
+  timer.unref();
+  logger.info(`Payment reconciler started (every ${Math.round(intervalMs / 60000)} min)`);
+  return timer;
+};
+
+module.exports = {
+  lookupPayment,
+  reconcileOrder,
+  runPaymentReconciliation,
+  startPaymentReconciler
+};
@@ -0,0 +1,104 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { runInTransaction } = require('../utils/transaction');
+
+const HOLD_EXPIRED_REASON = 'Payment was not completed before the stock hold expired';
+
+// Cancel one unpaid order whose hold has expired and give its stock back.
+// The claim is a conditional update, so two instances never release the same order.
+// Resolves to the cancelled order, or null when nothing is left to sweep.
+const releaseNextExpiredHold = (now) => runInTransaction(async (session, onRollback) => {
+  const order = await Order.findOneAndUpdate(
+    {
+      // Failed attempts keep the hold so the customer can retry until it expires
+      paymentStatus: { $in: ['pending', 'failed'] },
+      orderStatus: 'pending',
+      'stockHold.expiresAt': { $lte: now },
+      'stockHold.releasedAt': null
+    },
+    {
+      $set: {
+        orderStatus: 'cancelled',
+        paymentStatus: 'failed',
+        'stockHold.releasedAt': now,
+        cancellationReason: HOLD_EXPIRED_REASON
+      },
+      $push: {
+        statusHistory: {
+          status: 'cancelled',
+          from: 'pending',
+          actor: 'system',
+          note: HOLD_EXPIRED_REASON,
+          changedAt: now
+        }
+      }
+    },
+    { new: true, session }
+  );
+  if (!order) return null;
+
+  onRollback(() => Order.updateOne(
+    { _id: order._id },
+    {
+      $set: { orderStatus: 'pending', paymentStatus: 'pending' },
+      $unset: { 'stockHold.releasedAt': 1, cancellationReason: 1 },
+      $pop: { statusHistory: 1 }
+    }
+  ));
+
+  // Lines the customer already cancelled were restocked at the time
+  await Product.releaseStock(order.getRemainingLines(), { session, onRollback });
+
+  if (order.appliedCoupon && order.appliedCoupon.code) {
+    const coupon = await Coupon.findOne({ code: order.appliedCoupon.code }).session(session);
+    if (coupon) {
+      await coupon.releaseRedemption(order._id, { session, onRollback });
+    }
+  }
+
+  return order;
+});
+
+// Release every expired hold; returns the number of orders cancelled
+const sweepExpiredStockHolds = async (now = new Date()) => {
+  let released = 0;
+  let order;
+
+  while ((order = await releaseNextExpiredHold(now))) {
+    released++;
+    logger.info(`Released stock hold for unpaid order ${order.orderNumber}`);
+  }
+
+  return released;
+};
+
+// Run the sweeper on an interval. Returns the timer so callers can stop it.
+const startStockHoldSweeper = (intervalMs = config.stockHold.sweepIntervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepExpiredStockHolds();
+    } catch (error) {
+      logger.error('Stock hold sweeper error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  logger.info(`Stock hold sweeper started (every ${Math.round(intervalMs / 1000)}s)`);
+  return timer;
+};
+
+module.exports = {
+  HOLD_EXPIRED_REASON,
+  sweepExpiredStockHolds,
+  startStockHoldSweeper
+};
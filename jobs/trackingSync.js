@@ -0,0 +1,72 @@
+const Order = require('../models/Order');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { syncTracking } = require('../utils/shipments');
+
+// Shipments still moving whose tracking hasn't been checked recently
+const findShipmentsToSync = (now) => {
+  const { staleMinutes, batchSize } = config.couriers.trackingSync;
+  const staleBefore = new Date(now.getTime() - staleMinutes * 60 * 1000);
+
+  return Order.find({
+    orderStatus: { $in: ['processing', 'shipped'] },
+    'shippingDetails.courier': { $ne: null },
+    'shippingDetails.trackingNumber': { $ne: null },
+    $or: [
+      { 'shippingDetails.lastTrackedAt': null },
+      { 'shippingDetails.lastTrackedAt': { $lte: staleBefore } }
+    ]
+  })
+    .sort({ 'shippingDetails.lastTrackedAt': 1 })
+    .limit(batchSize);
+};
+
+// Poll the couriers for new scans on open shipments.
+// Resolves to { checked, updated, errors }.
+const runTrackingSync = async ({ clients = {}, now = new Date() } = {}) => {
+  const orders = await findShipmentsToSync(now);
+
+  let updated = 0;
+  let errors = 0;
+  for (const order of orders) {
+    try {
+      const result = await syncTracking(order, { clients });
+      if (result.added > 0) updated++;
+    } catch (error) {
+      errors++;
+      logger.error(`Tracking sync failed for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  if (orders.length > 0) {
+    logger.info(`Tracking sync checked ${orders.length} shipments, ${updated} had new scans`);
+  }
+  return { checked: orders.length, updated, errors };
+};
+
+// Run the tracking sync on an interval. Returns the timer so callers can stop it.
+const startTrackingSync = (intervalMs = config.couriers.trackingSync.intervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runTrackingSync();
+    } catch (error) {
+      logger.error('Tracking sync error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sync
+  timer.unref();
+  logger.info(`Tracking sync started (every ${Math.round(intervalMs / 60000)} min)`);
+  return timer;
+};
+
+module.exports = {
+  runTrackingSync,
+  startTrackingSync
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+
+const hashRequest = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+// Take over a key whose window has passed (the TTL index removes records
+// lazily), or one still processing past its lease with the same request, e.g.
+// after a crash. Resolves to the record now held, or null.
+const takeOverKey = (filter, requestHash, { now, windowHours, leaseSeconds }) => IdempotencyKey.findOneAndUpdate(
+  {
+    ...filter,
+    $or: [
+      { expiresAt: { $lte: now } },
+      { status: 'processing', requestHash, lockedUntil: { $not: { $gt: now } } }
+    ]
+  },
+  {
+    $set: {
+      requestHash,
+      status: 'processing',
+      lockedUntil: new Date(now.getTime() + leaseSeconds * 1000),
+      expiresAt: new Date(now.getTime() + windowHours * 60 * 60 * 1000)
+    },
+    $unset: { responseStatus: 1, responseBody: 1 }
+  },
+  { new: true }
+);
+
+// Make a route safe to retry. When the client sends an Idempotency-Key header,
+// the first response for that key (per user and route) is stored, and replays
+// within the window get the stored response instead of running the handler again.
+// A request that dies while processing holds the key for leaseSeconds at most.
+// Must run after protect so the key is scoped to the user.
+const idempotent = ({
+  windowHours = config.idempotency.windowHours,
+  leaseSeconds = config.idempotency.leaseSeconds
+} = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+
+  const user = req.user ? req.user._id : undefined;
+  const scope = `${req.method} ${req.originalUrl.split('?')[0]}`;
+  const requestHash = hashRequest(req.body);
+
+  const now = new Date();
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user,
+      scope,
+      requestHash,
+      lockedUntil: new Date(now.getTime() + leaseSeconds * 1000),
+      expiresAt: new Date(now.getTime() + windowHours * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+  }
+
+  if (!record) {
+    try {
+      record = await takeOverKey({ key, user, scope }, requestHash, { now, windowHours, leaseSeconds });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  if (!record) {
+    const existing = await IdempotencyKey.findOne({ key, user, scope });
+    if (existing && existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request'
+      });
+    }
+    if (!existing || existing.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response before sending it, so an immediate retry sees it.
+  // Server errors release the key so the request can be retried. A request
+  // whose key was taken over after its lease leaves the key alone.
+  const held = { _id: record._id, status: 'processing', lockedUntil: record.lockedUntil };
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const store = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne(held)
+      : IdempotencyKey.updateOne(
+        held,
+        {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body))
+          },
+          $unset: { lockedUntil: 1 }
+        }
+      );
+
+    store
+      .catch(error => logger.error('Idempotency key store error:', error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
@@ -34,14 +34,15 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-// Helper to upload buffer to Cloudinary
-const uploadBufferToCloudinary = (buffer, folder, filename) => {
+// Helper to upload buffer to Cloudinary. publicId names the upload; without
+// it the file's name is used, so a later upload of that name replaces it.
+const uploadBufferToCloudinary = (buffer, folder, filename, publicId) => {
   return new Promise((resolve, reject) => {
     const cloudinary = getCloudinary();
     const stream = cloudinary.uploader.upload_stream(
       {
         folder: `vibe-bites/${folder}`,
-        public_id: filename ? path.parse(filename).name : undefined,
+        public_id: publicId || (filename ? path.parse(filename).name : undefined),
         resource_type: 'auto'
       },
       (error, result) => {
@@ -53,8 +54,39 @@ const uploadBufferToCloudinary = (buffer, folder, filename) => {
   });
 };
 
-// Middleware to automatically upload files to Cloudinary
-const autoUploadToCloudinary = (subdir) => {
+// Files of a request that made it to Cloudinary
+const getUploadedFiles = (req) => {
+  const files = req.file ? [req.file] : [];
+  if (Array.isArray(req.files)) {
+    files.push(...req.files);
+  } else if (req.files) {
+    Object.values(req.files).forEach(fieldFiles => files.push(...fieldFiles));
+  }
+  return files.filter(file => file.publicId);
+};
+
+// Delete a request's uploads from Cloudinary, e.g. when the request is
+// rejected after its files were uploaded. Failures are only logged.
+const deleteUploadedFiles = async (req) => {
+  const files = getUploadedFiles(req);
+  if (files.length === 0) return;
+
+  const cloudinary = getCloudinary();
+  await Promise.all(files.map(async (file) => {
+    try {
+      await cloudinary.uploader.destroy(file.publicId);
+      logger.info(`Deleted unused upload ${file.publicId} from Cloudinary`);
+    } catch (error) {
+      logger.error(`Could not delete upload ${file.publicId} from Cloudinary:`, error);
+    }
+  }));
+};
+
+// Middleware to automatically upload files to Cloudinary.
+// getPublicId(req, file), when given, names each upload.
+const autoUploadToCloudinary = (subdir, { getPublicId = null } = {}) => {
+  const upload = (req, file) => uploadBufferToCloudinary(file.buffer, subdir, file.originalname, getPublicId && getPublicId(req, file));
+
   return async (req, res, next) => {
     try {
       if (!req.file && (!req.files || (Array.isArray(req.files) && req.files.length === 0) || (typeof req.files === 'object' && Object.keys(req.files).length === 0))) {
@@ -63,18 +95,20 @@ const autoUploadToCloudinary = (subdir) => {
 
       // Handle single file
       if (req.file) {
-        const result = await uploadBufferToCloudinary(req.file.buffer, subdir, req.file.originalname);
+        const result = await upload(req, req.file);
         req.file.filename = result.secure_url; // Use Cloudinary URL as filename
         req.file.path = result.secure_url;     // Use Cloudinary URL as path
+        req.file.publicId = result.public_id;
         logger.info(`Uploaded ${req.file.originalname} to Cloudinary: ${result.secure_url}`);
       }
 
       // Handle file array
       if (Array.isArray(req.files)) {
         await Promise.all(req.files.map(async (file) => {
-          const result = await uploadBufferToCloudinary(file.buffer, subdir, file.originalname);
+          const result = await upload(req, file);
           file.filename = result.secure_url;
           file.path = result.secure_url;
+          file.publicId = result.public_id;
           logger.info(`Uploaded ${file.originalname} to Cloudinary: ${result.secure_url}`);
         }));
       }
@@ -84,9 +118,10 @@ const autoUploadToCloudinary = (subdir) => {
         const fields = Object.values(req.files);
         for (const fieldFiles of fields) {
           await Promise.all(fieldFiles.map(async (file) => {
-            const result = await uploadBufferToCloudinary(file.buffer, subdir, file.originalname);
+            const result = await upload(req, file);
             file.filename = result.secure_url;
             file.path = result.secure_url;
+            file.publicId = result.public_id;
             logger.info(`Uploaded ${file.originalname} to Cloudinary: ${result.secure_url}`);
           }));
         }
@@ -95,6 +130,7 @@ const autoUploadToCloudinary = (subdir) => {
       next();
     } catch (error) {
       logger.error('Cloudinary validation/upload error:', error);
+      await deleteUploadedFiles(req);
       res.status(500).json({ success: false, message: 'Image upload failed: ' + error.message });
     }
   };
@@ -181,6 +217,11 @@ const makeSingleUploader = (subdir, fieldName = 'image') => {
   return [handleUploadError(u), autoUploadToCloudinary(subdir)];
 };
 
+const makeMultipleUploader = (subdir, fieldName = 'images', maxCount = 5, options = {}) => {
+  const u = createUploader(subdir).array(fieldName, maxCount);
+  return [handleUploadError(u), autoUploadToCloudinary(subdir, options)];
+};
+
 const makeMemorySingleUploader = (fieldName = 'image') => {
   const u = createMemoryUploader().single(fieldName);
   return handleUploadError(u);
@@ -214,7 +255,9 @@ module.exports = {
   getFileUrl,
   handleUploadError,
   makeSingleUploader,
+  makeMultipleUploader,
   createUploader,
   createMemoryUploader,
-  makeMemorySingleUploader
+  makeMemorySingleUploader,
+  deleteUploadedFiles
 };
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Product = require('./Product');
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  image: {
+    type: String
+  },
+  category: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+// Clients identify cart lines by productId, so expose it alongside the ref
+cartItemSchema.virtual('productId').get(function() {
+  return this.product ? this.product.toString() : undefined;
+});
+
+cartItemSchema.set('toJSON', { virtuals: true });
+cartItemSchema.set('toObject', { virtuals: true });
+
+const appliedCouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed']
+  }
+}, {
+  _id: false
+});
+
+const cartSchema = new mongoose.Schema({
+  // Exactly one of user / guestId identifies the cart owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  guestId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  items: [cartItemSchema],
+  appliedCoupon: {
+    type: appliedCouponSchema,
+    default: null
+  },
+  // Guest carts are removed by the TTL index once abandoned
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Note: user and guestId indexes are automatically created by unique: true
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestId) {
+    return next(new Error('Cart must belong to a user or a guest'));
+  }
+  next();
+});
+
+// Push back the expiry of guest carts on every change
+cartSchema.pre('save', function(next) {
+  if (this.user) {
+    this.guestId = undefined;
+    this.expiresAt = undefined;
+  } else {
+    this.expiresAt = new Date(Date.now() + config.cart.guestCartTtlDays * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+// Find the index of a line by product and size
+cartSchema.methods.findItemIndex = function(productId, size) {
+  const id = productId.toString();
+  return this.items.findIndex(item => item.product.toString() === id && item.size === size);
+};
+
+// Add or replace a line using the current product data for the given size
+cartSchema.methods.setItem = function(product, sizeObj, quantity) {
+  const line = {
+    product: product._id,
+    name: product.name,
+    size: sizeObj.size,
+    price: sizeObj.price,
+    quantity,
+    image: product.image,
+    category: product.category
+  };
+
+  const index = this.findItemIndex(product._id, sizeObj.size);
+  if (index > -1) {
+    this.items.set(index, line);
+  } else {
+    this.items.push(line);
+  }
+
+  return this;
+};
+
+// Virtual for total item count
+cartSchema.virtual('itemCount').get(function() {
+  if (!this.items) return 0;
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Find the owner's cart, or build an empty unsaved one.
+// owner is { user: userId } or { guestId }
+cartSchema.statics.findOrBuild = async function(owner) {
+  const cart = await this.findOne(owner);
+  return cart || new this({ ...owner, items: [] });
+};
+
+// Merge a guest cart into the user's cart after login/registration.
+// Quantities are combined per product+size and capped at available stock.
+cartSchema.statics.mergeGuestCart = async function(guestId, userId) {
+  const guestCart = await this.findOne({ guestId });
+  if (!guestCart) return null;
+
+  const cart = await this.findOrBuild({ user: userId });
+
+  for (const item of guestCart.items) {
+    const product = await Product.findById(item.product);
+    const sizeObj = product && product.isActive && product.sizes.find(s => s.size === item.size);
+    if (!sizeObj) continue;
+
+    const index = cart.findItemIndex(product._id, sizeObj.size);
+    const existingQuantity = index > -1 ? cart.items[index].quantity : 0;
+    const quantity = Math.min(existingQuantity + item.quantity, sizeObj.stock);
+
+    if (quantity > 0) {
+      cart.setItem(product, sizeObj, quantity);
+    }
+  }
+
+  if (!cart.appliedCoupon && guestCart.appliedCoupon) {
+    cart.appliedCoupon = guestCart.appliedCoupon;
+  }
+
+  await cart.save();
+  await this.deleteOne({ _id: guestCart._id });
+
+  return cart;
+};
+
+// Ensure virtual fields are included in JSON
+cartSchema.set('toJSON', { virtuals: true });
+cartSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. "order-20260118" for that day's order numbers
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Atomically increment a sequence and return the new value.
+// The first increment of a sequence upserts it; when two requests race on that
+// insert, the loser gets a duplicate-key error and simply retries as an update.
+counterSchema.statics.next = async function(name, attempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      return counter.seq;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= attempts) throw error;
+    }
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
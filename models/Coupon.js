@@ -74,7 +74,31 @@ const couponSchema = new mongoose.Schema({
   excludedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // One entry per order the coupon was used on
+  redemptions: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+      },
+      discountAmount: {
+        type: Number,
+        min: [0, 'Discount cannot be negative']
+      },
+      redeemedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  }
 }, {
   timestamps: true
 });
@@ -151,6 +175,53 @@ couponSchema.methods.incrementUsage = function() {
   return this.save();
 };
 
+// Atomically record a redemption for an order. The usage limit is re-checked in
+// the update itself so concurrent orders cannot exceed it.
+// Resolves to the updated coupon, or null if the coupon is used up or inactive.
+couponSchema.methods.redeem = function(userId, orderId, discountAmount, options = {}) {
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      isActive: true,
+      $or: [
+        { usageLimit: -1 },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: userId, order: orderId, discountAmount } }
+    },
+    { new: true, session: options.session }
+  );
+};
+
+// Undo the redemption recorded for an order (e.g. when order creation fails).
+// Pass the onRollback of runInTransaction to put the redemption back if the
+// unit of work fails later.
+couponSchema.methods.releaseRedemption = async function(orderId, { session = null, onRollback } = {}) {
+  const redemption = this.redemptions.find(entry => entry.order.equals(orderId));
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'redemptions.order': orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } }
+    },
+    { session }
+  );
+
+  if (onRollback && redemption && result.modifiedCount > 0) {
+    onRollback(() => this.constructor.updateOne(
+      { _id: this._id, 'redemptions.order': { $ne: orderId } },
+      {
+        $inc: { usedCount: 1 },
+        $push: { redemptions: redemption.toObject() }
+      }
+    ));
+  }
+  return result;
+};
+
 // Virtual for remaining usage
 couponSchema.virtual('remainingUsage').get(function() {
   if (this.usageLimit === -1) return 'Unlimited';
@@ -1,4 +1,117 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getDateKey, getFinancialYear } = require('../utils/dates');
+const { getGstRate, calculateOrderTax } = require('../utils/tax');
+const { getSetting } = require('../utils/settings');
+const { applyShippingRate } = require('../utils/shipping');
+const { estimateShippedDelivery } = require('../utils/eta');
+
+// Allowed order status transitions; anything not listed is rejected.
+// cancelled and returned are final.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'processing', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+// Round a rupee amount to paise
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// GST the customer paid on top of the prices. Zero for tax-inclusive orders,
+// where the tax is already part of the price.
+const taxOnTop = (order, amount) => (order.tax && order.tax.inclusive === false ? amount || 0 : 0);
+
+// One order line (or part of it) in a cancellation or return request
+const requestItemSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: String,
+  size: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund amount cannot be negative']
+  }
+}, {
+  _id: false
+});
+
+// GST on an order line or on the order's charges (shipping and COD fee)
+const lineTaxSchema = new mongoose.Schema({
+  rate: Number, // percent
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  amount: Number
+}, {
+  _id: false
+});
+
+// One courier scan (see utils/couriers for the statuses)
+const trackingEventSchema = new mongoose.Schema({
+  eventId: String, // the courier's ID, so repeated syncs don't duplicate scans
+  status: String,
+  description: String,
+  location: String,
+  occurredAt: Date
+}, {
+  _id: false
+});
+
+// A refund issued through the payment gateway
+const refundSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true,
+    enum: ['stripe', 'razorpay', 'mock']
+  },
+  // Gateway refund ID; missing if the gateway rejected the refund outright
+  refundId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  source: {
+    type: String,
+    enum: ['cancellation', 'return', 'manual'],
+    default: 'manual'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Refund reason cannot exceed 200 characters']
+  },
+  failureReason: String,
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -43,7 +156,25 @@ const orderSchema = new mongoose.Schema({
     category: {
       type: String,
       required: true
-    }
+    },
+    cancelledQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cancelled quantity cannot be negative']
+    },
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Returned quantity cannot be negative']
+    },
+    // Refund owed for this line's cancelled and returned units
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refund amount cannot be negative']
+    },
+    // GST on the line after its share of the discount
+    tax: lineTaxSchema
   }],
   shippingAddress: {
     firstName: {
@@ -91,7 +222,7 @@ const orderSchema = new mongoose.Schema({
   paymentStatus: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   orderStatus: {
@@ -110,16 +241,56 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Shipping cost cannot be negative']
   },
+  // Shipping rate applied when the order was placed (utils/shipping.js).
+  // zone is empty for orders priced at the flat fee.
+  shippingRate: {
+    zone: String,
+    zoneName: String,
+    weight: Number, // grams
+    rate: Number, // before free shipping
+    freeShippingThreshold: Number,
+    etaDays: {
+      min: Number,
+      max: Number
+    }
+  },
+  // Cash on delivery surcharge (the 'cod' setting's fee when the order was placed)
+  codFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'COD fee cannot be negative']
+  },
   discount: {
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  // GST totals. intra-state sales pay CGST + SGST, inter-state sales IGST.
+  // With inclusive prices the tax is part of subtotal; otherwise it is added to total.
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra', 'inter']
+    },
+    inclusive: Boolean,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number,
+    charges: lineTaxSchema
+  },
   total: {
     type: Number,
     required: true,
     min: [0, 'Total cannot be negative']
   },
+  // Sum of approved refunds for cancelled and returned items
+  refundTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund total cannot be negative']
+  },
   appliedCoupon: {
     code: {
       type: String,
@@ -135,23 +306,94 @@ const orderSchema = new mongoose.Schema({
     }
   },
   paymentDetails: {
+    // Payment provider handling the order (stripe, razorpay, mock)
+    provider: String,
     transactionId: String,
     paymentIntentId: String,
     paymentMethod: String,
     paidAt: Date
   },
+  refunds: [refundSchema],
+  // Set when the order confirmation email has been sent
+  confirmationEmailSentAt: Date,
+  // Set when the customer refused a cash on delivery parcel
+  codRefusedAt: Date,
+  // GST invoice, issued the first time it is needed
+  invoice: {
+    number: String,
+    issuedAt: Date,
+    claimedAt: Date // set by the request issuing the number, before it takes one
+  },
+  // Sum of processed gateway refunds
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
   shippingDetails: {
-    trackingNumber: String,
+    trackingNumber: String, // the courier's AWB number
     carrier: String,
+    // Courier adapter that created the shipment (utils/couriers)
+    courier: String,
+    shipmentId: String,
+    shipmentRequestedAt: Date,
     shippedAt: Date,
+    // Delivery window (utils/eta.js): set when the order is placed and again
+    // when it ships. estimatedDelivery is the latest day.
+    estimatedDeliveryFrom: Date,
     estimatedDelivery: Date,
-    deliveredAt: Date
+    deliveredAt: Date,
+    // Latest scan status and when the courier was last asked
+    trackingStatus: String,
+    lastTrackedAt: Date,
+    // Courier scans, oldest first
+    trackingEvents: [trackingEventSchema]
   },
   notes: {
     type: String,
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // Every orderStatus change, oldest first
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true,
+      enum: Object.keys(ORDER_STATUS_TRANSITIONS)
+    },
+    from: {
+      type: String,
+      enum: Object.keys(ORDER_STATUS_TRANSITIONS)
+    },
+    actor: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Stock reserved for an unpaid online order is released after expiresAt
+  stockHold: {
+    expiresAt: Date,
+    releasedAt: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
+  },
   cancelRequest: {
     requestedAt: Date,
     reason: {
@@ -164,6 +406,9 @@ const orderSchema = new mongoose.Schema({
       trim: true,
       maxlength: [500, 'Description cannot exceed 500 characters']
     },
+    // Lines being cancelled; refundAmount includes shipping when nothing is left
+    items: [requestItemSchema],
+    refundAmount: Number,
     status: {
       type: String,
       enum: ['pending', 'approved', 'rejected'],
@@ -187,6 +432,10 @@ const orderSchema = new mongoose.Schema({
       trim: true,
       maxlength: [500, 'Description cannot exceed 500 characters']
     },
+    // Lines being returned
+    items: [requestItemSchema],
+    // Cloudinary URLs of photos the customer attached
+    photos: [String],
     status: {
       type: String,
       enum: ['pending', 'approved', 'rejected'],
@@ -218,28 +467,59 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'stockHold.expiresAt': 1 }, { sparse: true });
+orderSchema.index({ 'cancelRequest.status': 1 }, { sparse: true });
+orderSchema.index({ 'returnRequest.status': 1 }, { sparse: true });
+orderSchema.index({ 'refunds.refundId': 1 }, { sparse: true });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
 
-// Generate order number before saving
+// Generate order number before saving: VB + IST date + that day's sequence.
+// The sequence comes from an atomic counter, so concurrent saves never share a number.
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Get count of orders for today
-    const todayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const todayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
-    
-    const orderCount = await this.constructor.countDocuments({
-      createdAt: { $gte: todayStart, $lt: todayEnd }
+    try {
+      this.orderNumber = await this.constructor.generateOrderNumber();
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Record the initial status of new orders
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.orderStatus,
+      actor: 'customer',
+      changedBy: this.user,
+      changedAt: new Date()
     });
-    
-  this.orderNumber = `VB${year}${month}${day}${String(orderCount + 1).padStart(4, '0')}`;
   }
   next();
 });
 
+// Next free order number for today (IST), e.g. VB202601180042
+orderSchema.statics.generateOrderNumber = async function(date = new Date()) {
+  const dateKey = getDateKey(date);
+
+  // Numbers handed out before the counter existed may already be taken; skip them
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const seq = await Counter.next(`order-${dateKey}`);
+    const orderNumber = `VB${dateKey}${String(seq).padStart(4, '0')}`;
+    if (!(await this.exists({ orderNumber }))) {
+      return orderNumber;
+    }
+  }
+
+  throw new Error(`Could not allocate an order number for ${dateKey}`);
+};
+
+// True when a save failed because another order already has this order number
+orderSchema.statics.isDuplicateOrderNumberError = function(error) {
+  return Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber);
+};
+
 // Virtual for order summary
 orderSchema.virtual('orderSummary').get(function() {
   return {
@@ -253,13 +533,20 @@ orderSchema.virtual('orderSummary').get(function() {
   };
 });
 
-// Method to calculate totals
-orderSchema.methods.calculateTotals = function() {
+// Recalculate subtotal, shipping, discount, GST and total from the items.
+// Shipping uses the rate stored when the order was placed (older orders the
+// current flat fee); lines keep the GST rate they were sold at.
+// Resolves to the totals.
+orderSchema.methods.calculateTotals = async function() {
   this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
   
   // Calculate shipping cost based on threshold
-  const config = require('../config/config');
-  this.shippingCost = this.subtotal >= config.freeShippingThreshold ? 0 : config.shippingFee;
+  if (this.shippingRate && this.shippingRate.rate !== undefined) {
+    this.shippingCost = applyShippingRate(this.shippingRate, this.subtotal);
+  } else {
+    const { shippingFee, freeShippingThreshold } = await getSetting('shipping');
+    this.shippingCost = this.subtotal >= freeShippingThreshold ? 0 : shippingFee;
+  }
   
   // Apply discount if coupon is applied
   let discountAmount = 0;
@@ -272,36 +559,184 @@ orderSchema.methods.calculateTotals = function() {
   }
   
   this.discount = Math.min(discountAmount, this.subtotal);
-  this.total = this.subtotal + this.shippingCost - this.discount;
+  this.applyTax();
+  this.total = this.subtotal + this.shippingCost + (this.codFee || 0) - this.discount + taxOnTop(this, this.tax.total);
   
   return {
     subtotal: this.subtotal,
     shippingCost: this.shippingCost,
+    codFee: this.codFee || 0,
     discount: this.discount,
+    tax: this.tax.total,
     total: this.total
   };
 };
 
-// Method to update order status
-orderSchema.methods.updateStatus = function(newStatus, notes = '') {
-  this.orderStatus = newStatus;
-  if (notes) {
-    this.notes = notes;
+// Work out GST for the items and charges and store it on each line and in
+// tax (does not change total or save)
+orderSchema.methods.applyTax = function() {
+  const tax = calculateOrderTax({
+    lines: this.items.map(item => ({
+      price: item.price,
+      quantity: item.quantity,
+      gstRate: item.tax && item.tax.rate !== undefined ? item.tax.rate : getGstRate({ category: item.category })
+    })),
+    discount: this.discount || 0,
+    charges: (this.shippingCost || 0) + (this.codFee || 0),
+    shippingState: this.shippingAddress && this.shippingAddress.state,
+    // Keep the pricing mode the order was placed with
+    inclusive: typeof this.tax.inclusive === 'boolean' ? this.tax.inclusive : undefined
+  });
+
+  this.items.forEach((item, index) => {
+    item.tax = tax.lines[index];
+  });
+  this.tax = {
+    supplyType: tax.supplyType,
+    inclusive: tax.inclusive,
+    taxableValue: tax.taxableValue,
+    cgst: tax.cgst,
+    sgst: tax.sgst,
+    igst: tax.igst,
+    total: tax.total,
+    charges: tax.charges || undefined
+  };
+  return this.tax;
+};
+
+// Statuses this order may move to next
+orderSchema.virtual('nextStatuses').get(function() {
+  return ORDER_STATUS_TRANSITIONS[this.orderStatus] || [];
+});
+
+// Check whether the order may move to newStatus
+orderSchema.methods.canTransitionTo = function(newStatus) {
+  return (ORDER_STATUS_TRANSITIONS[this.orderStatus] || []).includes(newStatus);
+};
+
+// Move the order to newStatus and append it to statusHistory (does not save).
+// Throws if the transition is not allowed.
+orderSchema.methods.transitionTo = function(newStatus, { actor = 'system', changedBy, note } = {}) {
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(this.orderStatus === newStatus
+      ? `Order is already ${newStatus}`
+      : `Order cannot move from ${this.orderStatus} to ${newStatus}`);
+    error.statusCode = 400;
+    throw error;
   }
-  
+
+  const now = new Date();
+  this.statusHistory.push({
+    status: newStatus,
+    from: this.orderStatus,
+    actor,
+    changedBy,
+    note,
+    changedAt: now
+  });
+  this.orderStatus = newStatus;
+
   // Update timestamps based on status
   switch (newStatus) {
     case 'shipped':
-      this.shippingDetails.shippedAt = new Date();
+      this.shippingDetails.shippedAt = now;
+      this.setDeliveryEstimate(estimateShippedDelivery(this, now));
       break;
     case 'delivered':
-      this.shippingDetails.deliveredAt = new Date();
+      this.shippingDetails.deliveredAt = now;
       break;
   }
-  
+
+  return this;
+};
+
+// Store a delivery window from utils/eta.js (does not save). A null
+// estimate keeps the current one.
+orderSchema.methods.setDeliveryEstimate = function(estimate) {
+  if (!estimate) return this;
+  this.shippingDetails.estimatedDeliveryFrom = estimate.from;
+  this.shippingDetails.estimatedDelivery = estimate.to;
+  return this;
+};
+
+// Undo step for runInTransaction that puts the stored order back as it is
+// now. Take it before changing the order; register it once the order is saved.
+orderSchema.methods.snapshotForRollback = function() {
+  const snapshot = this.toObject({ depopulate: true, virtuals: false });
+  return () => this.constructor.replaceOne({ _id: this._id }, snapshot);
+};
+
+// Method to update order status
+orderSchema.methods.updateStatus = function(newStatus, options = {}) {
+  this.transitionTo(newStatus, options);
   return this.save();
 };
 
+// Record courier scans, skipping ones already recorded (does not save).
+// A scan after pickup ships a processing order, and a delivery scan
+// delivers a shipped one. Returns { added, shipped, delivered }.
+orderSchema.methods.applyTrackingEvents = function(events = []) {
+  const details = this.shippingDetails;
+  const known = new Set(details.trackingEvents.map(event => event.eventId));
+  const added = [];
+
+  for (const event of events) {
+    const eventId = String(event.id);
+    if (known.has(eventId)) continue;
+    known.add(eventId);
+    added.push(event);
+    details.trackingEvents.push({
+      eventId,
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: event.occurredAt
+    });
+  }
+  if (added.length === 0) {
+    return { added: 0, shipped: false, delivered: false };
+  }
+
+  details.trackingEvents.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  details.trackingStatus = details.trackingEvents[details.trackingEvents.length - 1].status;
+
+  const carrier = details.carrier || 'the courier';
+  let shipped = false;
+  let delivered = false;
+  if (added.some(event => event.status !== 'manifested') && this.orderStatus === 'processing') {
+    this.transitionTo('shipped', { actor: 'system', note: `Picked up by ${carrier}` });
+    shipped = true;
+  }
+  const deliveryScan = added.find(event => event.status === 'delivered');
+  if (deliveryScan && this.canTransitionTo('delivered')) {
+    this.transitionTo('delivered', { actor: 'system', note: `Delivered by ${carrier}` });
+    details.deliveredAt = deliveryScan.occurredAt;
+    delivered = true;
+  }
+
+  return { added: added.length, shipped, delivered };
+};
+
+// When the order last entered a status, from statusHistory
+orderSchema.methods.getStatusTimestamp = function(status) {
+  const entries = (this.statusHistory || []).filter(entry => entry.status === status);
+  if (entries.length > 0) {
+    return entries[entries.length - 1].changedAt;
+  }
+
+  // Orders placed before statusHistory existed only have these
+  switch (status) {
+    case 'pending':
+      return this.createdAt;
+    case 'shipped':
+      return this.shippingDetails && this.shippingDetails.shippedAt;
+    case 'delivered':
+      return this.shippingDetails && this.shippingDetails.deliveredAt;
+    default:
+      return null;
+  }
+};
+
 // Method to update payment status
 orderSchema.methods.updatePaymentStatus = function(newStatus, paymentDetails = {}) {
   this.paymentStatus = newStatus;
@@ -309,38 +744,203 @@ orderSchema.methods.updatePaymentStatus = function(newStatus, paymentDetails = {
   if (newStatus === 'completed' && paymentDetails) {
     this.paymentDetails = { ...this.paymentDetails, ...paymentDetails, paidAt: new Date() };
   }
+
+  // Paid orders keep their stock
+  if (newStatus === 'completed' && this.stockHold && this.stockHold.expiresAt) {
+    this.stockHold.expiresAt = undefined;
+  }
   
   return this.save();
 };
 
+// Units of an order line that haven't been cancelled or returned
+orderSchema.methods.getRemainingQuantity = function(item) {
+  return item.quantity - (item.cancelledQuantity || 0) - (item.returnedQuantity || 0);
+};
+
+// Remaining units per line as { product, size, quantity }, e.g. for releasing stock
+orderSchema.methods.getRemainingLines = function() {
+  return this.items
+    .map(item => ({ product: item.product, size: item.size, quantity: this.getRemainingQuantity(item) }))
+    .filter(line => line.quantity > 0);
+};
+
+// Turn requested [{ itemId, quantity }] (or every remaining unit when empty)
+// into priced request lines. Each unit is refunded at its price less its share
+// of the order discount, plus its GST when that was charged on top of the
+// price; the request that empties the order takes the rounding remainder so
+// line refunds add up to what the goods cost. Cancelling the whole order also
+// refunds shipping, any COD fee and their GST.
+// Returns { items, refundAmount, closesOrder }; throws on invalid lines.
+orderSchema.methods.buildRequestLines = function(kind, requested = []) {
+  const action = kind === 'cancel' ? 'cancelled' : 'returned';
+  const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  const quantities = new Map();
+  if (requested.length === 0) {
+    for (const item of this.items) {
+      const remaining = this.getRemainingQuantity(item);
+      if (remaining > 0) quantities.set(item._id.toString(), remaining);
+    }
+  } else {
+    for (const { itemId, quantity } of requested) {
+      const item = this.items.id(itemId);
+      if (!item) {
+        throw badRequest(`Order item ${itemId} not found`);
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw badRequest('Quantity must be at least 1');
+      }
+      const id = item._id.toString();
+      quantities.set(id, (quantities.get(id) || 0) + quantity);
+    }
+  }
+
+  if (quantities.size === 0) {
+    throw badRequest(`All items in this order have already been ${action}`);
+  }
+
+  const discountRatio = this.subtotal > 0 ? Math.min((this.discount || 0) / this.subtotal, 1) : 0;
+  const items = [];
+  for (const [id, quantity] of quantities) {
+    const item = this.items.id(id);
+    const remaining = this.getRemainingQuantity(item);
+    if (quantity > remaining) {
+      throw badRequest(`Only ${remaining} of ${item.name} (${item.size}) can be ${action}`);
+    }
+    items.push({
+      item: item._id,
+      product: item.product,
+      name: item.name,
+      size: item.size,
+      quantity,
+      refundAmount: roundCurrency(
+        item.price * quantity * (1 - discountRatio) +
+        taxOnTop(this, item.tax && item.tax.amount) * quantity / item.quantity
+      )
+    });
+  }
+
+  const closesOrder = this.items.every(item =>
+    this.getRemainingQuantity(item) === (quantities.get(item._id.toString()) || 0)
+  );
+
+  if (closesOrder) {
+    const refundedSoFar = this.items.reduce((sum, item) => sum + (item.refundAmount || 0), 0);
+    const requestedTotal = items.reduce((sum, line) => sum + line.refundAmount, 0);
+    const goodsTax = this.items.reduce((sum, item) => sum + taxOnTop(this, item.tax && item.tax.amount), 0);
+    const remainder = roundCurrency(this.subtotal - (this.discount || 0) + goodsTax - refundedSoFar - requestedTotal);
+    const last = items[items.length - 1];
+    last.refundAmount = Math.max(0, roundCurrency(last.refundAmount + remainder));
+  }
+
+  let refundAmount = roundCurrency(items.reduce((sum, line) => sum + line.refundAmount, 0));
+  if (closesOrder && kind === 'cancel') {
+    const chargesTax = taxOnTop(this, this.tax.charges && this.tax.charges.amount);
+    refundAmount = roundCurrency(refundAmount + (this.shippingCost || 0) + (this.codFee || 0) + chargesTax);
+  }
+
+  return { items, refundAmount, closesOrder };
+};
+
+// Take approved request lines off the order: bump each line's cancelled or
+// returned quantity and refund, add refundAmount to refundTotal, and move the
+// order to cancelled/returned once nothing is left (does not save).
+orderSchema.methods.applyRequestLines = function(kind, lines, refundAmount, statusOptions = {}) {
+  const finalStatus = kind === 'cancel' ? 'cancelled' : 'returned';
+  if (!this.canTransitionTo(finalStatus)) {
+    const error = new Error(kind === 'cancel'
+      ? 'Order cannot be cancelled at this stage'
+      : 'Returns can only be processed for delivered orders');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const field = kind === 'cancel' ? 'cancelledQuantity' : 'returnedQuantity';
+  for (const line of lines) {
+    const item = this.items.id(line.item);
+    item[field] = (item[field] || 0) + line.quantity;
+    item.refundAmount = roundCurrency((item.refundAmount || 0) + line.refundAmount);
+  }
+  this.refundTotal = roundCurrency((this.refundTotal || 0) + refundAmount);
+
+  if (this.items.every(item => this.getRemainingQuantity(item) === 0)) {
+    this.transitionTo(finalStatus, statusOptions);
+  }
+
+  return this;
+};
+
+// Lines of a stored request as buildRequestLines input. Requests made before
+// line-level requests existed have no items and cover the whole order.
+const requestedLines = (request) => (request.items || []).map(line => ({
+  itemId: line.item,
+  quantity: line.quantity
+}));
+
+// Amount paid minus approved refunds
+orderSchema.virtual('netTotal').get(function() {
+  return roundCurrency((this.total || 0) - (this.refundTotal || 0));
+});
+
 // Method to request order cancellation
-orderSchema.methods.requestCancellation = function(reason, description = '') {
+orderSchema.methods.requestCancellation = function(reason, description = '', items = []) {
   // Only allow cancellation for pending, confirmed, or processing orders
   if (!['pending', 'confirmed', 'processing'].includes(this.orderStatus)) {
     throw new Error('Order cannot be cancelled at this stage');
   }
 
+  const lines = this.buildRequestLines('cancel', items);
+
   this.cancelRequest = {
     requestedAt: new Date(),
     reason,
     description,
+    items: lines.items,
+    refundAmount: lines.refundAmount,
     status: 'pending'
   };
 
   return this.save();
 };
 
+// Last moment a return can be requested, or null if the order hasn't been delivered
+orderSchema.methods.getReturnDeadline = function() {
+  const config = require('../config/config');
+  const deliveredAt = this.shippingDetails && this.shippingDetails.deliveredAt;
+  if (!deliveredAt) return null;
+  return new Date(deliveredAt.getTime() + config.returns.windowDays * 24 * 60 * 60 * 1000);
+};
+
 // Method to request order return
-orderSchema.methods.requestReturn = function(reason, description = '') {
+orderSchema.methods.requestReturn = function(reason, description = '', photos = [], items = []) {
   // Only allow returns for delivered orders
   if (this.orderStatus !== 'delivered') {
     throw new Error('Returns can only be requested for delivered orders');
   }
 
+  if (this.returnRequest && this.returnRequest.status === 'pending') {
+    throw new Error('A return request is already pending for this order');
+  }
+
+  const deadline = this.getReturnDeadline();
+  if (!deadline || Date.now() > deadline.getTime()) {
+    throw new Error('The return window for this order has closed');
+  }
+
+  const lines = this.buildRequestLines('return', items);
+
   this.returnRequest = {
     requestedAt: new Date(),
     reason,
     description,
+    items: lines.items,
+    refundAmount: lines.refundAmount,
+    photos,
     status: 'pending'
   };
 
@@ -348,53 +948,166 @@ orderSchema.methods.requestReturn = function(reason, description = '') {
 };
 
 // Method to process cancel request (Admin only)
-orderSchema.methods.processCancelRequest = function(approved, processedBy, notes = '') {
+orderSchema.methods.processCancelRequest = function(approved, processedBy, notes = '', { session = null } = {}) {
   if (!this.cancelRequest || this.cancelRequest.status !== 'pending') {
     throw new Error('No pending cancellation request found');
   }
 
+  if (approved) {
+    // Re-price against the order as it is now
+    const lines = this.buildRequestLines('cancel', requestedLines(this.cancelRequest));
+    this.applyRequestLines('cancel', lines.items, lines.refundAmount, {
+      actor: 'admin',
+      changedBy: processedBy,
+      note: notes || 'Cancellation request approved'
+    });
+    this.cancelRequest.items = lines.items;
+    this.cancelRequest.refundAmount = lines.refundAmount;
+  }
+
   this.cancelRequest.status = approved ? 'approved' : 'rejected';
   this.cancelRequest.processedAt = new Date();
   this.cancelRequest.processedBy = processedBy;
 
-  if (approved) {
-    this.orderStatus = 'cancelled';
-    this.paymentStatus = 'refunded';
-  }
-
   if (notes) {
     this.notes = notes;
   }
 
-  return this.save();
+  return this.save({ session });
 };
 
-// Method to process return request (Admin only)
-orderSchema.methods.processReturnRequest = function(approved, processedBy, refundAmount, refundMethod, returnTrackingNumber = '', notes = '') {
+// Method to process return request (Admin only).
+// refundAmount defaults to the computed refund for the returned lines.
+orderSchema.methods.processReturnRequest = function(approved, processedBy, refundAmount, refundMethod, returnTrackingNumber = '', notes = '', { session = null } = {}) {
   if (!this.returnRequest || this.returnRequest.status !== 'pending') {
     throw new Error('No pending return request found');
   }
 
-  this.returnRequest.status = approved ? 'approved' : 'rejected';
-  this.returnRequest.processedAt = new Date();
-  this.returnRequest.processedBy = processedBy;
-
   if (approved) {
-    this.orderStatus = 'returned';
+    const lines = this.buildRequestLines('return', requestedLines(this.returnRequest));
+    const amount = refundAmount === undefined || refundAmount === null ? lines.refundAmount : roundCurrency(refundAmount);
+    const refundable = roundCurrency(this.total - (this.refundTotal || 0));
+    if (amount > refundable) {
+      const error = new Error(`Refund amount cannot exceed the remaining ₹${refundable}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.applyRequestLines('return', lines.items, amount, {
+      actor: 'admin',
+      changedBy: processedBy,
+      note: notes || 'Return request approved'
+    });
+    this.returnRequest.items = lines.items;
     this.returnRequest.returnTrackingNumber = returnTrackingNumber;
-    this.returnRequest.refundAmount = refundAmount;
+    this.returnRequest.refundAmount = amount;
     this.returnRequest.refundMethod = refundMethod;
   }
 
+  this.returnRequest.status = approved ? 'approved' : 'rejected';
+  this.returnRequest.processedAt = new Date();
+  this.returnRequest.processedBy = processedBy;
+
   if (notes) {
     this.notes = notes;
   }
 
-  return this.save();
+  return this.save({ session });
+};
+
+// Record a cash on delivery parcel the customer refused at the door. It comes
+// back to us, so every remaining unit counts as returned, the shipped order
+// moves to returned and the payment is never collected (does not save).
+// Returns the lines that came back.
+orderSchema.methods.markCodRefused = function({ changedBy, note } = {}) {
+  const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (this.paymentMethod !== 'cod') {
+    throw badRequest('Only cash on delivery orders can be refused on delivery');
+  }
+  if (this.orderStatus !== 'shipped') {
+    throw badRequest('Only shipped orders can be refused on delivery');
+  }
+
+  const lines = this.getRemainingLines();
+  for (const item of this.items) {
+    item.returnedQuantity = (item.returnedQuantity || 0) + this.getRemainingQuantity(item);
+  }
+
+  this.transitionTo('returned', { actor: 'admin', changedBy, note: note || 'Cash on delivery refused' });
+  this.paymentStatus = 'failed';
+  this.codRefusedAt = new Date();
+  return lines;
+};
+
+// An order gets an invoice once it is a sale: COD orders when placed, online
+// orders once paid. An issued invoice stays available.
+orderSchema.methods.isInvoiceable = function() {
+  if (this.invoice && this.invoice.number) return true;
+  if (this.paymentMethod === 'cod') return this.orderStatus !== 'cancelled';
+  return ['completed', 'partially_refunded', 'refunded'].includes(this.paymentStatus);
+};
+
+// A request that claimed an invoice but never filled in its number (e.g. it
+// crashed) is taken over after this long
+const INVOICE_CLAIM_MS = 30 * 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Issue the order's invoice number if it has none yet. Numbers run per Indian
+// financial year, e.g. VB/2026-27/00001, without gaps: a request first claims
+// the invoice and only the claimant takes a number from the sequence, so a
+// concurrent request waits for it instead. Resolves to the invoice number.
+orderSchema.methods.ensureInvoiceNumber = async function() {
+  if (this.invoice && this.invoice.number) return this.invoice.number;
+
+  const config = require('../config/config');
+  for (let attempt = 1; attempt <= 50; attempt++) {
+    const now = new Date();
+    const claimed = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        'invoice.number': null,
+        $or: [
+          { 'invoice.claimedAt': null },
+          { 'invoice.claimedAt': { $lte: new Date(now.getTime() - INVOICE_CLAIM_MS) } }
+        ]
+      },
+      { $set: { 'invoice.claimedAt': now } },
+      { new: true }
+    ).select('_id');
+
+    if (claimed) {
+      const financialYear = getFinancialYear(now);
+      const seq = await Counter.next(`invoice-${financialYear}`);
+      const number = `${config.invoice.prefix}/${financialYear}/${String(seq).padStart(5, '0')}`;
+      await this.constructor.updateOne(
+        { _id: this._id, 'invoice.claimedAt': now, 'invoice.number': null },
+        { $set: { 'invoice.number': number, 'invoice.issuedAt': now } }
+      );
+    }
+
+    const { invoice } = await this.constructor.findById(this._id).select('invoice');
+    if (invoice && invoice.number) {
+      this.invoice = invoice;
+      return invoice.number;
+    }
+    await wait(100);
+  }
+
+  const error = new Error('The invoice number is still being issued, please try again');
+  error.statusCode = 503;
+  throw error;
 };
 
 // Ensure virtual fields are included in JSON
 orderSchema.set('toJSON', { virtuals: true });
 orderSchema.set('toObject', { virtuals: true });
 
+orderSchema.statics.STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Payment gateway webhook events that have already been handled.
+// Gateways retry deliveries, so each event ID is acted on only once.
+const processedEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: ['stripe', 'razorpay', 'mock']
+  },
+  eventId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    trim: true
+  },
+  // Records are dropped by the TTL index after config.webhooks.retentionDays
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+processedEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+processedEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Claim an event for processing. Resolves to false if it was already claimed.
+processedEventSchema.statics.claim = async function(provider, eventId, type) {
+  try {
+    await this.create({
+      provider,
+      eventId,
+      type,
+      expiresAt: new Date(Date.now() + config.webhooks.retentionDays * 24 * 60 * 60 * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Give up a claim so the gateway's next retry is processed again
+processedEventSchema.statics.release = function(provider, eventId) {
+  return this.deleteOne({ provider, eventId });
+};
+
+module.exports = mongoose.model('ProcessedEvent', processedEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GST_RATES } = require('../utils/tax');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -18,6 +19,14 @@ const productSchema = new mongoose.Schema({
   required: [true, 'Product category is required'],
   trim: true
   },
+  // GST rate in percent; when unset the category's rate applies (config.tax)
+  gstRate: {
+    type: Number,
+    validate: {
+      validator: (rate) => rate === null || rate === undefined || GST_RATES.includes(rate),
+      message: `GST rate must be one of ${GST_RATES.join(', ')}`
+    }
+  },
   image: {
     type: String,
     required: [true, 'Product image is required']
@@ -127,6 +136,7 @@ const productSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Shipping weight of one unit in grams (utils/shipping.js)
   weight: {
     type: Number,
     min: [0, 'Weight cannot be negative']
@@ -195,6 +205,104 @@ productSchema.methods.updateStock = function(size, quantity) {
   return false;
 };
 
+// Atomically take stock for order lines ({ product, size, quantity, name }).
+// Each line is a conditional decrement on sizes.$.stock, so concurrent orders
+// can never oversell. Throws on the first short line, with error.line set to
+// the details; earlier lines are undone by the caller's transaction, or by the
+// undo steps registered through onRollback when transactions are unavailable.
+productSchema.statics.reserveStock = async function(lines, { session = null, onRollback } = {}) {
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    const result = await this.updateOne(
+      {
+        _id: line.product,
+        isActive: true,
+        sizes: { $elemMatch: { size: line.size, stock: { $gte: line.quantity } } }
+      },
+      { $inc: { 'sizes.$.stock': -line.quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      const product = await this.findById(line.product).session(session);
+      const sizeObj = product && product.sizes.find(s => s.size === line.size);
+      const available = sizeObj ? sizeObj.stock : 0;
+      const name = (product && product.name) || line.name;
+
+      const error = new Error(available > 0
+        ? `Only ${available} of ${name} (${line.size}) left in stock, but ${line.quantity} were requested`
+        : `${name} (${line.size}) is out of stock`);
+      error.name = 'InsufficientStockError';
+      error.statusCode = 400;
+      error.line = {
+        index,
+        productId: line.product.toString(),
+        name,
+        size: line.size,
+        requested: line.quantity,
+        available
+      };
+      throw error;
+    }
+
+    if (onRollback) {
+      onRollback(() => this.releaseStock([line]));
+    }
+
+    // Flag the product as out of stock once no size has any left
+    await this.updateOne(
+      { _id: line.product, 'sizes.stock': { $not: { $gt: 0 } } },
+      { $set: { inStock: false } },
+      { session }
+    );
+  }
+};
+
+// Put stock back for order lines ({ product, size, quantity }).
+// Pass the onRollback of runInTransaction to take each line back out if the
+// unit of work fails later.
+productSchema.statics.releaseStock = async function(lines, { session = null, onRollback } = {}) {
+  for (const line of lines) {
+    await this.updateOne(
+      { _id: line.product, 'sizes.size': line.size },
+      { $inc: { 'sizes.$.stock': line.quantity }, $set: { inStock: true } },
+      { session }
+    );
+
+    if (onRollback) {
+      onRollback(async () => {
+        await this.updateOne(
+          { _id: line.product, 'sizes.size': line.size },
+          { $inc: { 'sizes.$.stock': -line.quantity } }
+        );
+        await this.updateOne(
+          { _id: line.product, 'sizes.stock': { $not: { $gt: 0 } } },
+          { $set: { inStock: false } }
+        );
+      });
+    }
+  }
+};
+
+// Resolve a product from a client-supplied ID. Accepts a Mongo ObjectId or a
+// legacy client pseudo ID (e.g. makhana01), matched on the name prefix.
+productSchema.statics.findByClientId = async function(clientId) {
+  if (!clientId) return null;
+  const id = String(clientId);
+  let product = null;
+  if (/^[0-9a-fA-F]{24}$/.test(id)) {
+    product = await this.findById(id);
+  }
+  if (!product) {
+    const pseudo = id.replace(/[0-9]+$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (pseudo) {
+      product = await this.findOne({ name: new RegExp(pseudo, 'i') });
+    }
+  }
+  return product;
+};
+
 // Method to calculate average rating
 productSchema.methods.updateRating = function(newRating) {
   const totalRating = (this.rating * this.reviewCount) + newRating;
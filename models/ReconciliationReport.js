@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// An order whose payment state disagreed with the gateway
+const discrepancySchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  // paid_but_pending: the gateway captured the payment but the order wasn't marked paid
+  // failed_but_confirmed: the order was confirmed but the gateway has no captured payment
+  // paid_after_cancel: the payment was captured after the order was cancelled and is refunded
+  type: {
+    type: String,
+    required: true,
+    enum: ['paid_but_pending', 'failed_but_confirmed', 'paid_after_cancel']
+  },
+  gateway: {
+    type: String,
+    enum: ['stripe', 'razorpay', 'mock']
+  },
+  gatewayStatus: String,
+  gatewayPaymentId: String,
+  paymentStatus: String,
+  orderStatus: String,
+  amount: Number,
+  // true when the reconciler corrected the order itself
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  note: String,
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// One report per IST day, updated by every reconciliation run that day
+const reconciliationReportSchema = new mongoose.Schema({
+  // IST day key, e.g. 20260118
+  date: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  runs: {
+    type: Number,
+    default: 0
+  },
+  ordersChecked: {
+    type: Number,
+    default: 0
+  },
+  ordersFixed: {
+    type: Number,
+    default: 0
+  },
+  lookupErrors: {
+    type: Number,
+    default: 0
+  },
+  lastRunAt: Date,
+  discrepancies: [discrepancySchema]
+}, {
+  timestamps: true
+});
+
+// Note: date index is automatically created by unique: true
+
+// Add a discrepancy to the day's report. It is kept once per order and
+// type; recording it again only updates the existing entry.
+reconciliationReportSchema.statics.recordDiscrepancy = async function(date, discrepancy) {
+  const existing = await this.updateOne(
+    { date, discrepancies: { $elemMatch: { order: discrepancy.order, type: discrepancy.type } } },
+    {
+      $set: {
+        'discrepancies.$.gatewayStatus': discrepancy.gatewayStatus,
+        'discrepancies.$.paymentStatus': discrepancy.paymentStatus,
+        'discrepancies.$.orderStatus': discrepancy.orderStatus,
+        'discrepancies.$.resolved': discrepancy.resolved,
+        'discrepancies.$.note': discrepancy.note
+      }
+    }
+  );
+  if (existing.matchedCount === 0) {
+    await this.updateOne({ date }, { $push: { discrepancies: discrepancy } }, { upsert: true });
+  }
+};
+
+// Record one reconciliation run in the day's report
+reconciliationReportSchema.statics.recordRun = async function(date, { checked, fixed, lookupErrors, discrepancies, ranAt = new Date() }) {
+  await this.updateOne(
+    { date },
+    {
+      $inc: { runs: 1, ordersChecked: checked, ordersFixed: fixed, lookupErrors },
+      $set: { lastRunAt: ranAt }
+    },
+    { upsert: true }
+  );
+
+  for (const discrepancy of discrepancies) {
+    await this.recordDiscrepancy(date, discrepancy);
+  }
+
+  return this.findOne({ date });
+};
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One change to a setting
+const settingChangeSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  previousValue: mongoose.Schema.Types.Mixed,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A store setting an admin can change at runtime, keyed by name (see
+// utils/settings.js for the keys and their validation). version goes up by
+// one on every change; history keeps the latest changes, oldest first.
+const settingSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  version: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: [settingChangeSchema]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Replace a setting's value if it is still at expectedVersion, recording the
+// change. The first change of a setting (expectedVersion 0) inserts it.
+// Resolves to the updated setting, or null when someone else changed it first.
+settingSchema.statics.replaceValue = async function(key, { value, previousValue, expectedVersion, changedBy = null, historyLimit }) {
+  const version = expectedVersion + 1;
+  try {
+    return await this.findOneAndUpdate(
+      { _id: key, version: expectedVersion },
+      {
+        $set: { value, version, updatedBy: changedBy },
+        $push: {
+          history: {
+            $each: [{ version, value, previousValue, changedBy, changedAt: new Date() }],
+            $slice: -historyLimit
+          }
+        }
+      },
+      { new: true, upsert: expectedVersion === 0 }
+    );
+  } catch (error) {
+    // Two first changes raced on the insert
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -96,7 +96,19 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Cash on delivery orders the customer refused at the door
+  codRefusals: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set once codRefusals reaches the 'cod' setting's maxRefusals; blocks COD checkout
+  codBlocked: {
+    type: Boolean,
+    default: false
+  },
+  codBlockedAt: Date
 }, {
   timestamps: true
 });
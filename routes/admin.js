@@ -8,125 +8,108 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Coupon = require('../models/Coupon');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { runPaymentReconciliation } = require('../jobs/paymentReconciler');
+const { recordCodRefusal } = require('../utils/cod');
+const { createShipment, recordManualShipment, getShipmentLabel, syncTracking } = require('../utils/shipments');
+const { getCollectAmount, renderPackingSlips, buildManifestCsv } = require('../utils/packingSlips');
+const { getDateKey, getDayStart } = require('../utils/dates');
+const { runInTransaction } = require('../utils/transaction');
+const { refundApprovedRequest } = require('../utils/refunds');
+const { releaseOrderCoupon, cancelOrderLines } = require('../utils/cancellations');
+const { sendEmail } = require('../utils/email');
 const { logger } = require('../utils/logger');
 const { getCloudinary } = require('../utils/cloudinary');
-let appConfig = require('../config/config');
-
-// Banner configuration storage (in-memory for now)
-let bannerConfig = {
-  banners: [
-    { id: 1, image: '/images/hero-snack-1.jpg', title: 'Bite into Happiness', subtitle: 'Crunchy, healthy, and 100% natural snacks', button: 'Shop Now', link: '/products' },
-    { id: 2, image: '/images/hero-snack-2.jpg', title: 'Taste the Vibe', subtitle: 'Handcrafted snacks that love you back', button: 'Explore Flavors', link: '/products' },
-    { id: 3, image: '/images/hero-snack-3.jpg', title: 'Free Shipping on Orders ₹500+', subtitle: 'Pan-India delivery in 3–5 days', button: 'Start Shopping', link: '/products' }
-  ]
-};
-
-// ==================== SHIPPING SETTINGS ENDPOINTS ====================
-// GET current shipping settings
-router.get('/shipping-fee', (req, res) => {
-  res.set({
-    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0'
-  });
-  res.json({
-    success: true,
-    shippingFee: appConfig.shippingFee,
-    freeShippingThreshold: appConfig.freeShippingThreshold
-  });
-});
+const { getSetting, updateSetting, listSettings, getSettingHistory } = require('../utils/settings');
 
-// UPDATE shipping settings
-router.put('/shipping-fee', async (req, res) => {
-  const { shippingFee, freeShippingThreshold } = req.body;
+const NO_STORE_HEADERS = {
+  'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+  'Pragma': 'no-cache',
+  'Expires': '0'
+};
 
-  // Validate shipping fee
-  if (shippingFee !== undefined && (typeof shippingFee !== 'number' || shippingFee < 0)) {
-    return res.status(400).json({ success: false, message: 'Invalid shipping fee' });
+// Respond to a failed settings read or change; validation errors carry a statusCode
+const sendSettingError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
   }
+  logger.error(`${message}:`, error);
+  return res.status(500).json({ success: false, message });
+};
 
-  // Validate free shipping threshold
-  if (freeShippingThreshold !== undefined && (typeof freeShippingThreshold !== 'number' || freeShippingThreshold < 0)) {
-    return res.status(400).json({ success: false, message: 'Invalid free shipping threshold' });
+// ==================== SHIPPING SETTINGS ENDPOINTS ====================
+// GET current shipping settings (public endpoint)
+router.get('/shipping-fee', async (req, res) => {
+  try {
+    const { shippingFee, freeShippingThreshold } = await getSetting('shipping');
+    res.set(NO_STORE_HEADERS);
+    res.json({
+      success: true,
+      shippingFee,
+      freeShippingThreshold
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error fetching shipping settings');
   }
+});
 
-  // Update values (in-memory update for now, not persistent across server restarts)
-  if (shippingFee !== undefined) {
-    appConfig.shippingFee = shippingFee;
-  }
-  if (freeShippingThreshold !== undefined) {
-    appConfig.freeShippingThreshold = freeShippingThreshold;
+// UPDATE shipping settings (admin only); omitted fields keep their value.
+// Once zones exist the flat fee only prices quotes without a pincode:
+// orders are charged by zone, so rates are changed through /shipping-zones.
+router.put('/shipping-fee', protect, admin, async (req, res) => {
+  try {
+    const { shippingFee, freeShippingThreshold } = req.body;
+    const { value } = await updateSetting('shipping', current => ({
+      ...current,
+      shippingFee: shippingFee !== undefined ? shippingFee : current.shippingFee,
+      freeShippingThreshold: freeShippingThreshold !== undefined ? freeShippingThreshold : current.freeShippingThreshold
+    }), { changedBy: req.user._id });
+
+    logger.info(`Shipping settings updated by admin ${req.user.email}`);
+    const hasZones = value.zones.length > 0;
+    res.set(NO_STORE_HEADERS);
+    res.json({
+      success: true,
+      shippingFee: value.shippingFee,
+      freeShippingThreshold: value.freeShippingThreshold,
+      appliesTo: hasZones ? 'quotes-without-pincode' : 'all-orders',
+      message: hasZones
+        ? 'The flat fee only applies to quotes without a pincode. Orders are charged by shipping zone; change those rates with PUT /api/admin/shipping-zones'
+        : 'Shipping settings updated successfully'
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error updating shipping settings');
   }
-
-  res.set({
-    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0'
-  });
-  res.json({
-    success: true,
-    shippingFee: appConfig.shippingFee,
-    freeShippingThreshold: appConfig.freeShippingThreshold
-  });
 });
 
 // ==================== BANNER MANAGEMENT ENDPOINTS ====================
 // GET current banner configuration (public endpoint)
-router.get('/banners', (req, res) => {
-  res.set({
-    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0'
-  });
-  res.json({
-    success: true,
-    data: bannerConfig.banners
-  });
+router.get('/banners', async (req, res) => {
+  try {
+    const banners = await getSetting('banners');
+    res.set(NO_STORE_HEADERS);
+    res.json({
+      success: true,
+      data: banners
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error fetching banner configuration');
+  }
 });
 
 // UPDATE banner configuration (admin only)
-router.put('/banners', async (req, res) => {
+router.put('/banners', protect, admin, async (req, res) => {
   try {
-    const { banners } = req.body;
-
-    if (!Array.isArray(banners)) {
-      return res.status(400).json({ success: false, message: 'Banners must be an array' });
-    }
+    const { value } = await updateSetting('banners', req.body.banners, { changedBy: req.user._id });
 
-    // Validate banner structure
-    for (let i = 0; i < banners.length; i++) {
-      const banner = banners[i];
-      if (!banner.image || !banner.title || !banner.subtitle || !banner.button || !banner.link) {
-        return res.status(400).json({
-          success: false,
-          message: `Banner ${i + 1} is missing required fields (image, title, subtitle, button, link)`
-        });
-      }
-    }
-
-    // Update banner configuration
-    bannerConfig.banners = banners.map((banner, index) => ({
-      id: index + 1,
-      image: banner.image,
-      mobileImage: banner.mobileImage || banner.image, // Fallback to desktop image if mobile not provided
-      title: banner.title,
-      subtitle: banner.subtitle,
-      button: banner.button,
-      link: banner.link
-    }));
-
-    logger.info(`Banner configuration updated by admin`);
+    logger.info(`Banner configuration updated by admin ${req.user.email}`);
     res.json({
       success: true,
       message: 'Banner configuration updated successfully',
-      data: bannerConfig.banners
+      data: value
     });
   } catch (error) {
-    logger.error('Banner update error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error updating banner configuration'
-    });
+    sendSettingError(res, error, 'Error updating banner configuration');
   }
 });
 
@@ -470,6 +453,44 @@ router.put('/users/:id/status', async (req, res) => {
   }
 });
 
+// Block or unblock cash on delivery for a customer. Unblocking also clears
+// their refusal count.
+router.put('/users/:id/cod-block', async (req, res) => {
+  try {
+    const { blocked } = req.body;
+    if (typeof blocked !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'blocked must be true or false'
+      });
+    }
+
+    const update = blocked
+      ? { codBlocked: true, codBlockedAt: new Date() }
+      : { codBlocked: false, codBlockedAt: null, codRefusals: 0 };
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true }).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+      message: `Cash on delivery ${blocked ? 'blocked' : 'unblocked'} for this user`
+    });
+  } catch (error) {
+    logger.error('Update user COD block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cash on delivery block'
+    });
+  }
+});
+
 router.delete('/users/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -675,16 +696,295 @@ router.get('/orders', async (req, res) => {
   }
 });
 
+// Orders with cancellation or return requests awaiting a decision
+router.get('/orders/requests', async (req, res) => {
+  try {
+    const { type = '', status = 'pending', page = 1, limit = 10 } = req.query;
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request status'
+      });
+    }
+
+    const requestFields = type === 'cancel'
+      ? ['cancelRequest']
+      : type === 'return'
+        ? ['returnRequest']
+        : ['cancelRequest', 'returnRequest'];
+
+    const query = {
+      $or: requestFields.map(field => ({ [`${field}.status`]: status }))
+    };
+
+    const orders = await Order.find(query)
+      .populate('user', 'firstName lastName email')
+      .sort({ 'cancelRequest.requestedAt': 1, 'returnRequest.requestedAt': 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalOrders: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get order requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order requests'
+    });
+  }
+});
+
+// Approve or reject a pending cancellation request
+router.put('/orders/:id/process-cancel', async (req, res) => {
+  try {
+    const { approved, notes = '' } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'approved must be true or false'
+      });
+    }
+    if (typeof notes !== 'string' || notes.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Notes cannot exceed 500 characters'
+      });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'email firstName');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.cancelRequest || order.cancelRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending cancellation request found'
+      });
+    }
+
+    try {
+      const restoreOrder = order.snapshotForRollback();
+      await runInTransaction(async (session, onRollback) => {
+        await order.processCancelRequest(approved, req.user._id, notes.trim(), { session });
+        onRollback(restoreOrder);
+        if (approved) {
+          await Product.releaseStock(order.cancelRequest.items, { session, onRollback });
+          if (order.orderStatus === 'cancelled') {
+            await releaseOrderCoupon(order, { session, onRollback });
+          }
+        }
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    if (approved) {
+      await refundApprovedRequest(order, order.cancelRequest.refundAmount, {
+        source: 'cancellation',
+        reason: order.cancelRequest.reason,
+        initiatedBy: req.user._id
+      });
+    }
+
+    try {
+      await sendEmail({
+        to: order.user.email,
+        subject: `Cancellation Request ${approved ? 'Approved' : 'Rejected'} - ${order.orderNumber}`,
+        template: 'cancelRequestProcessed',
+        data: {
+          name: order.shippingAddress.firstName,
+          orderNumber: order.orderNumber,
+          approved,
+          notes: notes.trim() || (approved
+            ? 'Your order has been cancelled.'
+            : 'Your order will continue to be processed.')
+        }
+      });
+    } catch (error) {
+      logger.error('Cancel request processed email error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: `Cancellation request ${approved ? 'approved' : 'rejected'}`,
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Process cancel request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing cancellation request'
+    });
+  }
+});
+
+// Approve or reject a pending return request. refundAmount defaults to the
+// computed refund for the returned lines.
+router.put('/orders/:id/process-return', async (req, res) => {
+  try {
+    const {
+      approved,
+      refundAmount,
+      refundMethod = 'original_payment',
+      returnTrackingNumber = '',
+      notes = ''
+    } = req.body;
+
+    let validationError = null;
+    if (typeof approved !== 'boolean') {
+      validationError = 'approved must be true or false';
+    } else if (refundAmount !== undefined && !(typeof refundAmount === 'number' && refundAmount >= 0)) {
+      validationError = 'Refund amount must be a positive number';
+    } else if (!['original_payment', 'store_credit', 'bank_transfer'].includes(refundMethod)) {
+      validationError = 'Invalid refund method';
+    } else if (typeof returnTrackingNumber !== 'string' || returnTrackingNumber.length > 100) {
+      validationError = 'Return tracking number cannot exceed 100 characters';
+    } else if (typeof notes !== 'string' || notes.length > 500) {
+      validationError = 'Notes cannot exceed 500 characters';
+    }
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'email firstName');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.returnRequest || order.returnRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending return request found'
+      });
+    }
+
+    try {
+      const restoreOrder = order.snapshotForRollback();
+      await runInTransaction(async (session, onRollback) => {
+        await order.processReturnRequest(approved, req.user._id, refundAmount, refundMethod,
+          returnTrackingNumber.trim(), notes.trim(), { session });
+        onRollback(restoreOrder);
+        if (approved) {
+          await Product.releaseStock(order.returnRequest.items, { session, onRollback });
+        }
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    // Store credit and bank transfers are settled outside the payment gateway
+    if (approved && refundMethod === 'original_payment') {
+      await refundApprovedRequest(order, order.returnRequest.refundAmount, {
+        source: 'return',
+        reason: order.returnRequest.reason,
+        initiatedBy: req.user._id
+      });
+    }
+
+    try {
+      await sendEmail({
+        to: order.user.email,
+        subject: `Return Request ${approved ? 'Approved' : 'Rejected'} - ${order.orderNumber}`,
+        template: 'returnRequestProcessed',
+        data: {
+          name: order.shippingAddress.firstName,
+          orderNumber: order.orderNumber,
+          approved,
+          refundAmount: order.returnRequest.refundAmount,
+          refundMethod,
+          returnTrackingNumber: returnTrackingNumber.trim(),
+          notes: notes.trim() || (approved
+            ? 'Your refund will be processed shortly.'
+            : 'Please contact us if you have any questions about this decision.')
+        }
+      });
+    } catch (error) {
+      logger.error('Return request processed email error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: `Return request ${approved ? 'approved' : 'rejected'}`,
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Process return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing return request'
+    });
+  }
+});
+
 router.put('/orders/:id/status', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, notes } = req.body;
+    const trackingNumber = typeof req.body.trackingNumber === 'string' ? req.body.trackingNumber.trim() : req.body.trackingNumber;
+    const carrier = typeof req.body.carrier === 'string' ? req.body.carrier.trim() : req.body.carrier;
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { orderStatus: status },
-      { new: true }
-    ).populate('user', 'firstName lastName email');
+    if (trackingNumber !== undefined && (typeof trackingNumber !== 'string' || !trackingNumber || trackingNumber.length > 64)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tracking number must be 1-64 characters'
+      });
+    }
+    if (carrier !== undefined && (typeof carrier !== 'string' || !carrier || carrier.length > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Carrier must be 1-100 characters'
+      });
+    }
+    if (carrier !== undefined && trackingNumber === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A carrier needs a tracking number'
+      });
+    }
+    // Returned goods are restocked and refunded through the return request
+    if (status === 'returned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Returns are processed with PUT /api/admin/orders/:id/process-return, or /api/admin/orders/:id/cod-refused for a refused COD parcel'
+      });
+    }
+
+    const order = await Order.findById(id).populate('user', 'firstName lastName email');
 
     if (!order) {
       return res.status(404).json({
@@ -693,10 +993,62 @@ router.put('/orders/:id/status', async (req, res) => {
       });
     }
 
+    // An AWB booked by hand is saved with the status change
+    if (trackingNumber) {
+      try {
+        recordManualShipment(order, { trackingNumber, carrier });
+      } catch (error) {
+        if (error.statusCode === 400) {
+          return res.status(400).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+    }
+
+    try {
+      const statusEntry = { actor: 'admin', changedBy: req.user._id, note: notes };
+      if (status === 'cancelled') {
+        // Cancel what is left the way a customer would: stock, coupon and refund
+        await cancelOrderLines(order, {
+          reason: 'other',
+          description: typeof notes === 'string' ? notes : undefined,
+          status: statusEntry
+        });
+      } else {
+        await order.updateStatus(status, statusEntry);
+      }
+    } catch (error) {
+      if (error.statusCode === 400 || error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: { allowedStatuses: order.nextStatuses }
+        });
+      }
+      throw error;
+    }
+
+    // Book the courier once the order is being packed, unless it was booked
+    // by hand or no courier is configured
+    let shipmentError = null;
+    if (status === 'processing' && !order.shippingDetails.trackingNumber) {
+      try {
+        await createShipment(order, { required: false });
+      } catch (error) {
+        shipmentError = error.message;
+        logger.error(`Shipment creation failed for order ${order.orderNumber}:`, error);
+      }
+    }
+
     res.json({
       success: true,
       data: order,
-      message: 'Order status updated successfully'
+      message: shipmentError
+        ? `Order status updated, but the shipment could not be created: ${shipmentError}`
+        : 'Order status updated successfully'
     });
   } catch (error) {
     logger.error('Update order status error:', error);
@@ -707,6 +1059,482 @@ router.put('/orders/:id/status', async (req, res) => {
   }
 });
 
+// ==================== SHIPMENTS ====================
+// Packing slips for a set of orders as one PDF, in the order given
+router.post('/orders/packing-slips', async (req, res) => {
+  try {
+    const { orderIds } = req.body;
+    if (!Array.isArray(orderIds) || orderIds.length === 0 || orderIds.length > 100) {
+      return res.status(400).json({ success: false, message: 'orderIds must list 1 to 100 orders' });
+    }
+    const ids = [...new Set(orderIds.map(String))];
+    if (!ids.every(id => /^[0-9a-fA-F]{24}$/.test(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID' });
+    }
+
+    const orders = await Order.find({ _id: { $in: ids } });
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+    const missing = ids.filter(id => !ordersById.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some orders were not found',
+        data: { missing }
+      });
+    }
+
+    const pdf = await renderPackingSlips(ids.map(id => ordersById.get(id)));
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="packing-slips-${getDateKey()}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Packing slips error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating packing slips'
+    });
+  }
+});
+
+// Orders booked with a courier on a store day (YYYY-MM-DD, default today),
+// optionally for one carrier
+const parseDispatchDay = (date) => {
+  if (date === undefined) return getDateKey();
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? date.replace(/-/g, '') : null;
+};
+
+const findDispatchedOrders = (dateKey, carrier = null) => {
+  const start = getDayStart(dateKey);
+  const filter = {
+    orderStatus: { $nin: ['cancelled'] },
+    'shippingDetails.trackingNumber': { $ne: null },
+    'shippingDetails.shipmentRequestedAt': { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) }
+  };
+  if (carrier) filter['shippingDetails.carrier'] = carrier;
+  return Order.find(filter).sort({ 'shippingDetails.shipmentRequestedAt': 1 });
+};
+
+// The day's dispatch per carrier
+router.get('/dispatch/manifests', async (req, res) => {
+  try {
+    const dateKey = parseDispatchDay(req.query.date);
+    if (!dateKey) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const orders = await findDispatchedOrders(dateKey);
+    const carriers = new Map();
+    for (const order of orders) {
+      const carrier = order.shippingDetails.carrier;
+      const entry = carriers.get(carrier) || { carrier, shipments: 0, codShipments: 0, codAmount: 0 };
+      entry.shipments++;
+      if (order.paymentMethod === 'cod') {
+        entry.codShipments++;
+        entry.codAmount = Math.round((entry.codAmount + getCollectAmount(order)) * 100) / 100;
+      }
+      carriers.set(carrier, entry);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date: dateKey,
+        carriers: [...carriers.values()]
+      }
+    });
+  } catch (error) {
+    logger.error('Dispatch manifests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dispatch manifests'
+    });
+  }
+});
+
+// One carrier's manifest for the day as CSV
+router.get('/dispatch/manifests/:carrier', async (req, res) => {
+  try {
+    const dateKey = parseDispatchDay(req.query.date);
+    if (!dateKey) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const { carrier } = req.params;
+    const orders = await findDispatchedOrders(dateKey, carrier);
+    const filename = `manifest-${carrier.replace(/[^A-Za-z0-9]+/g, '-')}-${dateKey}.csv`;
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(buildManifestCsv(orders));
+  } catch (error) {
+    logger.error('Dispatch manifest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating dispatch manifest'
+    });
+  }
+});
+
+// Book the courier for a processing order, e.g. after creating the shipment failed
+router.post('/orders/:id/shipment', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    if (order.orderStatus !== 'processing') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only processing orders can be shipped'
+      });
+    }
+
+    const result = await createShipment(order);
+    if (!result.created) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order already has a shipment'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: order.shippingDetails,
+      message: 'Shipment created successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Create shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating shipment'
+    });
+  }
+});
+
+// The courier's shipping label for an order
+router.get('/orders/:id/shipment/label', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !order.shippingDetails.trackingNumber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const label = await getShipmentLabel(order);
+    res.set({
+      'Content-Type': label.contentType,
+      'Content-Disposition': `inline; filename="label-${order.shippingDetails.trackingNumber}.pdf"`
+    });
+    res.send(label.content);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Shipping label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shipping label'
+    });
+  }
+});
+
+// Fetch the latest courier scans for an order now
+router.post('/orders/:id/shipment/sync', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !order.shippingDetails.trackingNumber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const result = await syncTracking(order);
+    res.json({
+      success: true,
+      data: {
+        added: result.added,
+        orderStatus: order.orderStatus,
+        shippingDetails: order.shippingDetails
+      },
+      message: result.added > 0 ? `${result.added} new tracking events` : 'No new tracking events'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Tracking sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error syncing tracking'
+    });
+  }
+});
+
+// The customer refused a shipped COD parcel: the order is returned, its stock
+// is put back and the refusal counts towards the customer's COD block
+router.put('/orders/:id/cod-refused', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let lines;
+    try {
+      lines = order.markCodRefused({ changedBy: req.user._id, note: req.body.notes });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    await runInTransaction(async (session, onRollback) => {
+      await Product.releaseStock(lines, { session, onRollback });
+      await order.save({ session });
+    });
+
+    const user = await recordCodRefusal(order.user);
+
+    res.json({
+      success: true,
+      data: {
+        order,
+        codRefusals: user ? user.codRefusals : undefined,
+        codBlocked: user ? user.codBlocked : undefined
+      },
+      message: user && user.codBlocked
+        ? 'Order marked as refused; cash on delivery is now blocked for this customer'
+        : 'Order marked as refused'
+    });
+  } catch (error) {
+    logger.error('Mark COD refused error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording refused delivery'
+    });
+  }
+});
+
+// ==================== CASH ON DELIVERY RULES ====================
+// GET current COD rules
+router.get('/cod-rules', async (req, res) => {
+  try {
+    const rules = await getSetting('cod');
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error fetching COD rules');
+  }
+});
+
+// UPDATE COD rules; omitted fields keep their value
+router.put('/cod-rules', async (req, res) => {
+  try {
+    const changes = {};
+    for (const field of ['enabled', 'maxOrderValue', 'serviceablePincodes', 'maxRefusals', 'fee']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const { value } = await updateSetting('cod', current => ({ ...current, ...changes }), { changedBy: req.user._id });
+
+    logger.info(`COD rules updated by admin ${req.user.email}`);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: value,
+      message: 'COD rules updated successfully'
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error updating COD rules');
+  }
+});
+
+// ==================== SHIPPING ZONES ====================
+// GET shipping zones and their weight slabs
+router.get('/shipping-zones', async (req, res) => {
+  try {
+    const { zones } = await getSetting('shipping');
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: zones
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error fetching shipping zones');
+  }
+});
+
+// REPLACE the shipping zones
+router.put('/shipping-zones', async (req, res) => {
+  try {
+    const { value } = await updateSetting('shipping', current => ({ ...current, zones: req.body.zones }), { changedBy: req.user._id });
+
+    logger.info(`Shipping zones updated by admin ${req.user.email}`);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: value.zones,
+      message: 'Shipping zones updated successfully'
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error updating shipping zones');
+  }
+});
+
+// ==================== DISPATCH RULES ====================
+// GET the dispatch cutoff time, weekly off days and warehouse holidays
+router.get('/dispatch-rules', async (req, res) => {
+  try {
+    const rules = await getSetting('dispatch');
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error fetching dispatch rules');
+  }
+});
+
+// UPDATE dispatch rules; omitted fields keep their value
+router.put('/dispatch-rules', async (req, res) => {
+  try {
+    const changes = {};
+    for (const field of ['cutoffTime', 'weeklyOffDays', 'holidays']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const { value } = await updateSetting('dispatch', current => ({ ...current, ...changes }), { changedBy: req.user._id });
+
+    logger.info(`Dispatch rules updated by admin ${req.user.email}`);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: value,
+      message: 'Dispatch rules updated successfully'
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error updating dispatch rules');
+  }
+});
+
+// ==================== STORE SETTINGS ====================
+// Every store setting with its current value and version
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await listSettings();
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error fetching settings');
+  }
+});
+
+// Who changed a setting, when, and from what, newest first
+router.get('/settings/:key/history', async (req, res) => {
+  try {
+    const history = await getSettingHistory(req.params.key);
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    sendSettingError(res, error, 'Error fetching setting history');
+  }
+});
+
+// ==================== PAYMENT RECONCILIATION ====================
+// Recent daily reconciliation reports, newest first
+router.get('/reconciliation/reports', async (req, res) => {
+  try {
+    const { limit = 7 } = req.query;
+
+    const reports = await ReconciliationReport.find()
+      .sort({ date: -1 })
+      .limit(Math.min(parseInt(limit) || 7, 90));
+
+    res.json({
+      success: true,
+      data: { reports }
+    });
+  } catch (error) {
+    logger.error('Get reconciliation reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation reports'
+    });
+  }
+});
+
+// Report for one IST day (YYYYMMDD)
+router.get('/reconciliation/reports/:date', async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findOne({ date: String(req.params.date) })
+      .populate('discrepancies.order', 'orderNumber total paymentStatus orderStatus');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+  } catch (error) {
+    logger.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation report'
+    });
+  }
+});
+
+// Run reconciliation now instead of waiting for the next scheduled run
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    const report = await runPaymentReconciliation();
+
+    res.json({
+      success: true,
+      message: 'Payment reconciliation completed',
+      data: { report }
+    });
+  } catch (error) {
+    logger.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running payment reconciliation'
+    });
+  }
+});
+
 // ==================== COUPON MANAGEMENT ====================
 // Get a single coupon by ID
 router.get('/coupons/:id', async (req, res) => {
@@ -868,12 +1696,35 @@ router.get('/analytics/sales', async (req, res) => {
             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
           },
           totalSales: { $sum: '$total' },
+          taxCollected: { $sum: { $ifNull: ['$tax.total', 0] } },
           orderCount: { $sum: 1 }
         }
       },
       { $sort: { _id: 1 } }
     ]);
 
+    // GST on delivered orders, split by supply type for the returns
+    const taxBreakdown = await Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: startDate, $lte: endDate },
+          orderStatus: 'delivered',
+          'tax.total': { $exists: true }
+        }
+      },
+      {
+        $group: {
+          _id: '$tax.supplyType',
+          taxableValue: { $sum: '$tax.taxableValue' },
+          cgst: { $sum: '$tax.cgst' },
+          sgst: { $sum: '$tax.sgst' },
+          igst: { $sum: '$tax.igst' },
+          total: { $sum: '$tax.total' },
+          orderCount: { $sum: 1 }
+        }
+      }
+    ]);
+
     // Additional breakdown by paymentStatus
     const paymentBreakdown = await Order.aggregate([
       {
@@ -892,7 +1743,8 @@ router.get('/analytics/sales', async (req, res) => {
       success: true,
       data: {
         timeseries: salesData,
-        paymentStatus: paymentBreakdown
+        paymentStatus: paymentBreakdown,
+        tax: taxBreakdown
       }
     });
   } catch (error) {
@@ -5,6 +5,7 @@ const { protect } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const { sendEmail } = require('../utils/email');
+const { mergeGuestCartOnLogin } = require('../utils/guestCart');
 const { validatePasswordStrength, validateIndianPhone } = require('../utils/validation');
 
 const router = express.Router();
@@ -100,6 +101,10 @@ router.post('/register', [
     maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
     path: '/'
   });
+
+  // Carry over anything added to the cart before signing up
+  await mergeGuestCartOnLogin(req, res, user);
+
   res.status(201).json({
     success: true,
     message: 'User registered successfully. Welcome to VIBE BITES!',
@@ -177,6 +182,10 @@ router.post('/login', [
     maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
     path: '/'
   });
+
+  // Carry over anything added to the cart before logging in
+  await mergeGuestCartOnLogin(req, res, user);
+
   res.json({
     success: true,
     message: 'Login successful',
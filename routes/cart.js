@@ -1,20 +1,48 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { resolveCartOwner } = require('../utils/guestCart');
+const { quoteCart, evaluateCoupon } = require('../utils/pricing');
 
 const router = express.Router();
 
-// In-memory cart storage (in production, use Redis or database)
-const userCarts = new Map();
+// Carts belong to the logged-in user, or to a guest identified by a signed cookie
+router.use(optionalAuth, resolveCartOwner);
+
+// Check a product/size can be bought in the requested quantity.
+// Returns { product, sizeObj } or { status, message }.
+const checkCartLine = (product, size, quantity) => {
+  if (!product || !product.isActive) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  const sizeObj = product.sizes.find(s => s.size === size);
+  if (!sizeObj) {
+    return { status: 400, message: `${product.name} is not available in size ${size}` };
+  }
+
+  if (sizeObj.stock < quantity) {
+    return {
+      status: 400,
+      message: sizeObj.stock > 0
+        ? `Only ${sizeObj.stock} of ${product.name} (${size}) left in stock`
+        : `${product.name} (${size}) is out of stock`
+    };
+  }
+
+  return { product, sizeObj };
+};
 
 // @route   GET /api/cart
-// @desc    Get user's cart
-// @access  Private
-router.get('/', protect, asyncHandler(async (req, res) => {
-  const cart = userCarts.get(req.user._id.toString()) || { items: [], appliedCoupon: null };
-  
+// @desc    Get the current cart
+// @access  Public (guest or logged-in user)
+router.get('/', asyncHandler(async (req, res) => {
+  const cart = await Cart.findOrBuild(req.cartOwner);
+
   res.json({
     success: true,
     data: { cart }
@@ -23,8 +51,8 @@ router.get('/', protect, asyncHandler(async (req, res) => {
 
 // @route   POST /api/cart/add
 // @desc    Add item to cart
-// @access  Private
-router.post('/add', protect, [
+// @access  Public (guest or logged-in user)
+router.post('/add', [
   body('productId')
     .notEmpty()
     .withMessage('Product ID is required'),
@@ -44,39 +72,27 @@ router.post('/add', protect, [
     });
   }
 
-  const { productId, size, quantity } = req.body;
-  const userId = req.user._id.toString();
+  const { productId, size } = req.body;
+  const quantity = parseInt(req.body.quantity, 10);
 
-  // Get or create user cart
-  let cart = userCarts.get(userId);
-  if (!cart) {
-    cart = { items: [], appliedCoupon: null };
-  }
+  const cart = await Cart.findOrBuild(req.cartOwner);
 
-  // Check if item already exists in cart
-  const existingItemIndex = cart.items.findIndex(
-    item => item.productId === productId && item.size === size
-  );
+  // Resolve the product first so existing lines match on the real product ID
+  const product = await Product.findByClientId(productId);
+  const existingIndex = product ? cart.findItemIndex(product._id, size) : -1;
+  const existingQuantity = existingIndex > -1 ? cart.items[existingIndex].quantity : 0;
 
-  if (existingItemIndex > -1) {
-    // Update quantity
-    cart.items[existingItemIndex].quantity += quantity;
-  } else {
-    // Add new item (in real app, fetch product details from database)
-    cart.items.push({
-      productId,
-      size,
-      quantity,
-      // These would come from database in real implementation
-      name: 'Product Name',
-      price: 100,
-      image: '/images/product.jpg',
-      category: 'Makhana'
+  // Re-check price and stock against the product for the combined quantity
+  const line = checkCartLine(product, size, existingQuantity + quantity);
+  if (!line.product) {
+    return res.status(line.status).json({
+      success: false,
+      message: line.message
     });
   }
 
-  // Save cart
-  userCarts.set(userId, cart);
+  cart.setItem(line.product, line.sizeObj, existingQuantity + quantity);
+  await cart.save();
 
   res.json({
     success: true,
@@ -87,8 +103,8 @@ router.post('/add', protect, [
 
 // @route   PUT /api/cart/update
 // @desc    Update cart item quantity
-// @access  Private
-router.put('/update', protect, [
+// @access  Public (guest or logged-in user)
+router.put('/update', [
   body('productId')
     .notEmpty()
     .withMessage('Product ID is required'),
@@ -108,10 +124,10 @@ router.put('/update', protect, [
     });
   }
 
-  const { productId, size, quantity } = req.body;
-  const userId = req.user._id.toString();
+  const { productId, size } = req.body;
+  const quantity = parseInt(req.body.quantity, 10);
 
-  const cart = userCarts.get(userId);
+  const cart = await Cart.findOne(req.cartOwner);
   if (!cart) {
     return res.status(404).json({
       success: false,
@@ -119,9 +135,8 @@ router.put('/update', protect, [
     });
   }
 
-  const itemIndex = cart.items.findIndex(
-    item => item.productId === productId && item.size === size
-  );
+  const product = await Product.findByClientId(productId);
+  const itemIndex = cart.findItemIndex(product ? product._id : productId, size);
 
   if (itemIndex === -1) {
     return res.status(404).json({
@@ -134,11 +149,18 @@ router.put('/update', protect, [
     // Remove item
     cart.items.splice(itemIndex, 1);
   } else {
-    // Update quantity
-    cart.items[itemIndex].quantity = quantity;
+    // Update quantity, refreshing price and checking stock
+    const line = checkCartLine(product, size, quantity);
+    if (!line.product) {
+      return res.status(line.status).json({
+        success: false,
+        message: line.message
+      });
+    }
+    cart.setItem(line.product, line.sizeObj, quantity);
   }
 
-  userCarts.set(userId, cart);
+  await cart.save();
 
   res.json({
     success: true,
@@ -149,8 +171,8 @@ router.put('/update', protect, [
 
 // @route   DELETE /api/cart/remove
 // @desc    Remove item from cart
-// @access  Private
-router.delete('/remove', protect, [
+// @access  Public (guest or logged-in user)
+router.delete('/remove', [
   body('productId')
     .notEmpty()
     .withMessage('Product ID is required'),
@@ -168,9 +190,8 @@ router.delete('/remove', protect, [
   }
 
   const { productId, size } = req.body;
-  const userId = req.user._id.toString();
 
-  const cart = userCarts.get(userId);
+  const cart = await Cart.findOne(req.cartOwner);
   if (!cart) {
     return res.status(404).json({
       success: false,
@@ -178,9 +199,9 @@ router.delete('/remove', protect, [
     });
   }
 
-  const itemIndex = cart.items.findIndex(
-    item => item.productId === productId && item.size === size
-  );
+  // Fall back to the raw ID so lines for deleted products can still be removed
+  const product = await Product.findByClientId(productId);
+  const itemIndex = cart.findItemIndex(product ? product._id : productId, size);
 
   if (itemIndex === -1) {
     return res.status(404).json({
@@ -190,7 +211,7 @@ router.delete('/remove', protect, [
   }
 
   cart.items.splice(itemIndex, 1);
-  userCarts.set(userId, cart);
+  await cart.save();
 
   res.json({
     success: true,
@@ -200,12 +221,10 @@ router.delete('/remove', protect, [
 }));
 
 // @route   DELETE /api/cart/clear
-// @desc    Clear user's cart
-// @access  Private
-router.delete('/clear', protect, asyncHandler(async (req, res) => {
-  const userId = req.user._id.toString();
-  
-  userCarts.delete(userId);
+// @desc    Clear the current cart
+// @access  Public (guest or logged-in user)
+router.delete('/clear', asyncHandler(async (req, res) => {
+  await Cart.deleteOne(req.cartOwner);
 
   res.json({
     success: true,
@@ -215,22 +234,104 @@ router.delete('/clear', protect, asyncHandler(async (req, res) => {
 
 // Sync entire cart from client (optional helper)
 // @route   PUT /api/cart/sync
-// @desc    Replace user's cart with client state
-// @access  Private
-router.put('/sync', protect, [
+// @desc    Replace the current cart with client state
+// @access  Public (guest or logged-in user)
+router.put('/sync', [
   body('items').isArray().withMessage('Items array required')
 ], asyncHandler(async (req, res) => {
-  console.log('CART SYNC: USER ID', req.user && req.user._id);
-  console.log('CART SYNC: BODY', req.body);
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ success: false, errors: errors.array() });
   }
-  const userId = req.user._id.toString();
   const { items, appliedCoupon } = req.body;
-  const cart = { items, appliedCoupon: appliedCoupon || null };
-  userCarts.set(userId, cart);
-  res.json({ success: true, message: 'Cart synced', data: { cart } });
+  const cart = await Cart.findOrBuild(req.cartOwner);
+
+  // Rebuild lines from product data; client-sent names and prices are ignored
+  const warnings = [];
+  cart.items = [];
+  for (const item of items) {
+    const quantity = parseInt(item && item.quantity, 10);
+    if (!item || !item.productId || !item.size || !(quantity > 0)) continue;
+
+    const product = await Product.findByClientId(item.productId);
+    const sizeObj = product && product.isActive && product.sizes.find(s => s.size === item.size);
+    if (!sizeObj) {
+      logger.warn('Cart sync skipped unknown item', { ...req.cartOwner, productId: item.productId, size: item.size });
+      warnings.push({ type: 'unavailable', productId: item.productId, size: item.size, message: 'Item is no longer available' });
+      continue;
+    }
+
+    // Quantities are capped at the stock currently available
+    const index = cart.findItemIndex(product._id, sizeObj.size);
+    const existingQuantity = index > -1 ? cart.items[index].quantity : 0;
+    const requested = existingQuantity + quantity;
+    const allowed = Math.min(requested, sizeObj.stock);
+    if (allowed < requested) {
+      warnings.push({
+        type: 'insufficient_stock',
+        productId: product._id.toString(),
+        size: sizeObj.size,
+        requested,
+        available: sizeObj.stock,
+        message: `Only ${sizeObj.stock} of ${product.name} (${sizeObj.size}) left in stock`
+      });
+    }
+    if (allowed > 0) {
+      cart.setItem(product, sizeObj, allowed);
+    }
+  }
+
+  // Only store coupons that validate against the rebuilt cart; the stored
+  // type/discount always come from the Coupon, never from the client
+  cart.appliedCoupon = null;
+  if (appliedCoupon && appliedCoupon.code) {
+    const subtotal = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const { coupon, error } = await evaluateCoupon(appliedCoupon.code, {
+      subtotal,
+      items: cart.items,
+      userId: req.user ? req.user._id : null
+    });
+    if (error) {
+      warnings.push({ type: 'coupon_invalid', code: appliedCoupon.code, message: error });
+    } else {
+      cart.appliedCoupon = { code: coupon.code, type: coupon.type, discount: coupon.discount };
+    }
+  }
+
+  await cart.save();
+  res.json({ success: true, message: 'Cart synced', data: { cart, warnings } });
+}));
+
+// @route   GET /api/cart/quote?pincode=
+// @desc    Price the stored cart: lines, shipping, coupon discount, total and COD availability
+// @access  Public (guest or logged-in user)
+router.get('/quote', [
+  query('pincode')
+    .optional()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Pincode must be 6 digits')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const cart = await Cart.findOne(req.cartOwner);
+  const quote = await quoteCart(cart, {
+    userId: req.user ? req.user._id : null,
+    user: req.user || null,
+    pincode: req.query.pincode
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: { quote }
+  });
 }));
 
 module.exports = router; 
\ No newline at end of file
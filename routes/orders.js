@@ -1,18 +1,32 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const { protect, admin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { idempotent } = require('../middleware/idempotency');
+const { makeMultipleUploader, deleteUploadedFiles } = require('../middleware/upload');
 const { logger } = require('../utils/logger');
 const { sendEmail } = require('../utils/email');
+const { roundCurrency, evaluateCoupon } = require('../utils/pricing');
+const { getUnitWeight, quoteShipping } = require('../utils/shipping');
+const { runInTransaction } = require('../utils/transaction');
+const { cancelOrderLines } = require('../utils/cancellations');
+const { sendOrderConfirmation } = require('../utils/orderPayments');
+const { checkCodEligibility } = require('../utils/cod');
+const { generateInvoice } = require('../utils/invoice');
+const { getGstRate, calculateOrderTax } = require('../utils/tax');
+const { createShipment, recordManualShipment, sendShippedEmail } = require('../utils/shipments');
+const { estimateDelivery } = require('../utils/eta');
+const config = require('../config/config');
 
 const router = express.Router();
 
 // @route   POST /api/orders
 // @desc    Create a new order
-// @access  Private
-router.post('/', protect, [
+// @access  Private (supports Idempotency-Key)
+router.post('/', protect, idempotent(), [
   body('items')
     .isArray({ min: 1 })
     .withMessage('At least one item is required'),
@@ -24,7 +38,8 @@ router.post('/', protect, [
     .withMessage('Size is required'),
   body('items.*.quantity')
     .isInt({ min: 1 })
-    .withMessage('Quantity must be at least 1'),
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
   body('shippingAddress.firstName')
     .notEmpty()
     .withMessage('First name is required'),
@@ -63,37 +78,29 @@ router.post('/', protect, [
 
   const { items, shippingAddress, paymentMethod, appliedCoupon } = req.body;
 
-  // Validate products and check stock
+  // Validate products and price the lines. Stock is checked when it is
+  // reserved below, atomically with saving the order
   const orderItems = [];
   let subtotal = 0;
+  let weight = 0;
 
   for (const item of items) {
-    console.log('ORDER CREATE: PROCESS ITEM', item);
-    let product = null;
-    if (item.productId.match(/^[0-9a-fA-F]{24}$/)) {
-      product = await Product.findById(item.productId);
-    }
-    if (!product) {
-      // Fallback: attempt to find by pseudo ID pattern (e.g., makhana01) using name prefix
-      const pseudo = item.productId.replace(/[0-9]+$/, '');
-      product = await Product.findOne({ name: new RegExp(pseudo, 'i') });
-    }
-    if (!product) {
-      console.log('ORDER CREATE: PRODUCT NOT FOUND AFTER FALLBACK', item.productId);
+    const product = await Product.findByClientId(item.productId);
+    if (!product || !product.isActive) {
       return res.status(400).json({ success: false, message: `Product ${item.productId} not found` });
     }
 
-    if (!product.isInStock(item.size)) {
-      console.log('ORDER CREATE: OUT OF STOCK', product._id, item.size);
+    const sizeObj = product.sizes.find(s => s.size === item.size);
+    if (!sizeObj) {
       return res.status(400).json({
         success: false,
-        message: `${product.name} (${item.size}) is out of stock`
+        message: `${product.name} is not available in size ${item.size}`
       });
     }
 
-    const sizeObj = product.sizes.find(s => s.size === item.size);
     const itemTotal = sizeObj.price * item.quantity;
     subtotal += itemTotal;
+    weight += getUnitWeight(product, item.size) * item.quantity;
 
     orderItems.push({
       product: product._id,
@@ -102,27 +109,73 @@ router.post('/', protect, [
       price: sizeObj.price,
       quantity: item.quantity,
       image: product.image,
-      category: product.category
+      category: product.category,
+      // Rate the line is sold at; the amounts are filled in by order.applyTax()
+      tax: { rate: getGstRate(product) }
     });
   }
 
-  // Calculate shipping cost based on threshold
-  const config = require('../config/config');
-  const shippingCost = subtotal >= config.freeShippingThreshold ? 0 : config.shippingFee;
-  let discount = 0;
+  // Shipping by the delivery zone and parcel weight; the applied rate is kept on the order
+  const shipping = await quoteShipping({
+    subtotal,
+    weight,
+    pincode: shippingAddress.pincode,
+    state: shippingAddress.state
+  });
+  if (!shipping.serviceable) {
+    return res.status(400).json({
+      success: false,
+      message: shipping.message
+    });
+  }
+  const shippingCost = shipping.cost;
 
-  if (appliedCoupon) {
-    console.log('ORDER CREATE: APPLIED COUPON', appliedCoupon);
-    // Apply coupon logic here
-    if (appliedCoupon.type === 'percentage') {
-      discount = (subtotal * appliedCoupon.discount) / 100;
-    } else {
-      discount = appliedCoupon.discount;
+  // Only the coupon code is taken from the client; type and discount come
+  // from the stored coupon after it has been validated for this order
+  let discount = 0;
+  let coupon = null;
+  const couponCode = typeof appliedCoupon === 'string' ? appliedCoupon : appliedCoupon && appliedCoupon.code;
+
+  if (couponCode) {
+    const result = await evaluateCoupon(couponCode, {
+      subtotal,
+      items: orderItems,
+      userId: req.user._id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
     }
-    discount = Math.min(discount, subtotal);
+    coupon = result.coupon;
+    discount = result.discount;
   }
 
-  const total = subtotal + shippingCost - discount;
+  // Cash on delivery must be allowed for this value, pincode and customer.
+  // GST charged on top of prices counts towards the order value.
+  let codFee = 0;
+  if (paymentMethod === 'cod') {
+    const tax = calculateOrderTax({
+      lines: orderItems.map(item => ({ price: item.price, quantity: item.quantity, gstRate: item.tax.rate })),
+      discount,
+      charges: shippingCost,
+      shippingState: shippingAddress.state
+    });
+    const cod = await checkCodEligibility({
+      orderValue: roundCurrency(subtotal + shippingCost - discount + (tax.inclusive ? 0 : tax.total)),
+      pincode: shippingAddress.pincode,
+      user: req.user
+    });
+    if (!cod.available) {
+      return res.status(400).json({
+        success: false,
+        message: cod.reasons[0].message,
+        data: { cod }
+      });
+    }
+    codFee = cod.fee;
+  }
 
   // Create order
   const order = new Order({
@@ -132,39 +185,66 @@ router.post('/', protect, [
     paymentMethod,
     subtotal,
     shippingCost,
+    shippingRate: shipping.rate,
+    codFee,
     discount,
-    total,
-    appliedCoupon,
+    appliedCoupon: coupon
+      ? { code: coupon.code, type: coupon.type, discount: coupon.discount }
+      : undefined,
     // Set appropriate statuses based on payment method
     paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending',
-    orderStatus: 'pending'
+    orderStatus: 'pending',
+    // Online payments hold the reserved stock only until the payment window ends
+    stockHold: paymentMethod === 'cod'
+      ? undefined
+      : { expiresAt: new Date(Date.now() + config.stockHold.minutes * 60 * 1000) }
   });
+  order.setDeliveryEstimate(await estimateDelivery(shipping.rate));
 
-  await order.save();
-  console.log('ORDER CREATE: ORDER SAVED', order._id);
+  // GST per line and in the order totals; tax-exclusive prices add it to the total
+  const tax = order.applyTax();
+  order.total = roundCurrency(subtotal + shippingCost + codFee - discount + (tax.inclusive ? 0 : tax.total));
 
-  // Update product stock
-  for (const item of items) {
-    const product = await Product.findById(item.productId);
-    product.updateStock(item.size, item.quantity);
-    await product.save();
-  }
+  // Reserve stock, redeem the coupon and save the order as one unit: either
+  // everything is applied or nothing is. A clash on the order number rolls the
+  // unit back, so it is simply retried with a fresh number.
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await runInTransaction(async (session, onRollback) => {
+        await Product.reserveStock(orderItems, { session, onRollback });
+
+        if (coupon) {
+          const redeemed = await coupon.redeem(req.user._id, order._id, discount, { session });
+          if (!redeemed) {
+            const error = new Error('Coupon usage limit has been reached');
+            error.statusCode = 400;
+            throw error;
+          }
+          onRollback(() => coupon.releaseRedemption(order._id));
+        }
 
-  // Send order confirmation email
-  try {
-    await sendEmail({
-      to: req.user.email,
-      subject: `Order Confirmation - ${order.orderNumber}`,
-      template: 'orderConfirmation',
-      data: {
-        name: req.user.firstName,
-        orderNumber: order.orderNumber,
-        orderDate: order.createdAt.toLocaleDateString(),
-        total: order.total
+        await order.save({ session });
+      });
+      break;
+    } catch (error) {
+      if (Order.isDuplicateOrderNumberError(error) && attempt < 3) {
+        order.orderNumber = undefined;
+        continue;
       }
-    });
-  } catch (error) {
-    logger.error('Order confirmation email error:', error);
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          ...(error.line && { data: { line: error.line } })
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Online orders are confirmed by email once their payment is captured
+  if (paymentMethod === 'cod') {
+    await sendOrderConfirmation(order);
   }
 
   res.status(201).json({
@@ -228,6 +308,38 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/orders/:id/invoice
+// @desc    Download the order's GST invoice as a PDF
+// @access  Private (order owner or admin)
+router.get('/:id/invoice', protect, asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.id };
+  if (req.user.role !== 'admin') filter.user = req.user._id;
+
+  const order = await Order.findOne(filter);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (!order.isInvoiceable()) {
+    return res.status(400).json({
+      success: false,
+      message: 'An invoice is available once the order has been paid'
+    });
+  }
+
+  const invoice = await generateInvoice(order);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.filename}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(invoice.pdf);
+}));
+
 // @route   PUT /api/orders/:id/status
 // @desc    Update order status (Admin only)
 // @access  Private/Admin
@@ -239,7 +351,19 @@ router.put('/:id/status', protect, admin, [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
+    .withMessage('Notes cannot exceed 500 characters'),
+  body('trackingNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Tracking number must be 1-64 characters'),
+  body('carrier')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Carrier must be 1-100 characters')
+    .custom((value, { req }) => req.body.trackingNumber !== undefined)
+    .withMessage('A carrier needs a tracking number')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -250,7 +374,15 @@ router.put('/:id/status', protect, admin, [
     });
   }
 
-  const { status, notes } = req.body;
+  const { status, notes, trackingNumber, carrier } = req.body;
+
+  // Returned goods are restocked and refunded through the return request
+  if (status === 'returned') {
+    return res.status(400).json({
+      success: false,
+      message: 'Returns are processed with PUT /api/admin/orders/:id/process-return, or /api/admin/orders/:id/cod-refused for a refused COD parcel'
+    });
+  }
 
   const order = await Order.findById(req.params.id).populate('user', 'email firstName');
   if (!order) {
@@ -260,26 +392,55 @@ router.put('/:id/status', protect, admin, [
     });
   }
 
-  await order.updateStatus(status, notes);
-
-  // Send email notifications for status changes
-  if (status === 'shipped') {
+  // An AWB booked by hand is saved with the status change
+  if (trackingNumber) {
     try {
-      await sendEmail({
-        to: order.user.email,
-        subject: `Your order has been shipped - ${order.orderNumber}`,
-        template: 'orderShipped',
-        data: {
-          name: order.shippingAddress.firstName,
-          orderNumber: order.orderNumber,
-          trackingNumber: order.shippingDetails.trackingNumber || 'N/A',
-          carrier: order.shippingDetails.carrier || 'Standard Shipping',
-          estimatedDelivery: order.shippingDetails.estimatedDelivery?.toLocaleDateString() || '3-5 business days'
-        }
+      recordManualShipment(order, { trackingNumber, carrier });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  }
+
+  try {
+    const statusEntry = { actor: 'admin', changedBy: req.user._id, note: notes };
+    if (status === 'cancelled') {
+      // Cancel what is left the way a customer would: stock, coupon and refund
+      await cancelOrderLines(order, { reason: 'other', description: notes, status: statusEntry });
+    } else {
+      await order.updateStatus(status, statusEntry);
+    }
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        data: { allowedStatuses: order.nextStatuses }
       });
+    }
+    throw error;
+  }
+
+  // Book the courier once the order is being packed, unless it was booked
+  // by hand or no courier is configured
+  let shipmentError = null;
+  if (status === 'processing' && !order.shippingDetails.trackingNumber) {
+    try {
+      await createShipment(order, { required: false });
     } catch (error) {
-      logger.error('Order shipped email error:', error);
+      shipmentError = error.message;
+      logger.error(`Shipment creation failed for order ${order.orderNumber}:`, error);
     }
+  }
+
+  // Send email notifications for status changes
+  if (status === 'shipped') {
+    await sendShippedEmail(order);
   } else if (status === 'cancelled') {
     try {
       await sendEmail({
@@ -316,11 +477,42 @@ router.put('/:id/status', protect, admin, [
 
   res.json({
     success: true,
-    message: 'Order status updated successfully',
+    message: shipmentError
+      ? `Order status updated, but the shipment could not be created: ${shipmentError}`
+      : 'Order status updated successfully',
     data: { order }
   });
 }));
 
+// Optional line selection for cancellations and returns: [{ itemId, quantity }].
+// Multipart requests may send it as a JSON string.
+const requestItemsValidators = [
+  body('items')
+    .optional()
+    .customSanitizer(value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isArray()
+    .withMessage('Items must be an array of { itemId, quantity }'),
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Invalid order item ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt()
+];
+
+// Human-readable list of request lines for emails
+const describeRequestItems = (items) => items
+  .map(line => `${line.name} (${line.size}) × ${line.quantity}`)
+  .join(', ');
+
 // @route   POST /api/orders/:id/cancel
 // @desc    Request order cancellation
 // @access  Private
@@ -332,7 +524,8 @@ router.post('/:id/cancel', protect, [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Description cannot exceed 500 characters')
+    .withMessage('Description cannot exceed 500 characters'),
+  ...requestItemsValidators
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -343,7 +536,7 @@ router.post('/:id/cancel', protect, [
     });
   }
 
-  const { reason, description } = req.body;
+  const { reason, description, items = [] } = req.body;
 
   const order = await Order.findOne({
     _id: req.params.id,
@@ -357,69 +550,187 @@ router.post('/:id/cancel', protect, [
     });
   }
 
+  // Directly cancel the order, or just the selected lines (no admin approval needed)
+  let lines;
   try {
-    // Directly cancel the order (no admin approval needed)
-    order.orderStatus = 'cancelled';
-    order.cancelRequest = {
-      requestedAt: new Date(),
+    ({ lines } = await cancelOrderLines(order, {
+      items,
       reason,
       description,
-      status: 'approved',
-      processedAt: new Date(),
-      processedBy: req.user._id
-    };
-    await order.save();
-
-    // Send email notification to customer
-    try {
-      await sendEmail({
-        to: req.user.email,
-        subject: `Order Cancelled - ${order.orderNumber}`,
-        template: 'orderCancelled',
-        data: {
-          name: order.shippingAddress.firstName,
-          orderNumber: order.orderNumber,
-          notes: `Your order has been cancelled. Reason: ${reason}`
-        }
+      status: {
+        actor: 'customer',
+        changedBy: req.user._id,
+        note: description ? `${reason}: ${description}` : reason
+      }
+    }));
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
       });
-    } catch (error) {
-      logger.error('Order cancelled email error:', error);
     }
+    throw error;
+  }
 
-    // Send email notification to admin
-    try {
-      await sendEmail({
-        to: process.env.EMAIL_USER,
-        subject: `Order Cancelled by Customer - ${order.orderNumber}`,
-        template: 'cancelRequest',
-        data: {
-          orderNumber: order.orderNumber,
-          customerName: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
-          customerEmail: req.user.email,
-          reason,
-          description: description || 'No additional description provided',
-          orderTotal: order.total
-        }
-      });
-    } catch (error) {
-      logger.error('Cancel notification email error:', error);
-    }
+  const cancelledItems = describeRequestItems(lines.items);
+  const fullyCancelled = order.orderStatus === 'cancelled';
 
-    res.json({
-      success: true,
-      message: 'Order cancelled successfully',
-      data: { order }
+  // Send email notification to customer
+  try {
+    await sendEmail({
+      to: req.user.email,
+      subject: `Order Cancelled - ${order.orderNumber}`,
+      template: 'orderCancelled',
+      data: {
+        name: order.shippingAddress.firstName,
+        orderNumber: order.orderNumber,
+        notes: fullyCancelled
+          ? `Your order has been cancelled. Reason: ${reason}`
+          : `These items have been cancelled: ${cancelledItems}. Reason: ${reason}. The rest of your order will be shipped as usual.`
+      }
     });
   } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: error.message
+    logger.error('Order cancelled email error:', error);
+  }
+
+  // Send email notification to admin
+  try {
+    await sendEmail({
+      to: process.env.EMAIL_USER,
+      subject: `Order Cancelled by Customer - ${order.orderNumber}`,
+      template: 'cancelRequest',
+      data: {
+        orderNumber: order.orderNumber,
+        customerName: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
+        customerEmail: req.user.email,
+        reason,
+        description: `${fullyCancelled ? 'Whole order' : cancelledItems}. ${description || 'No additional description provided'}`,
+        orderTotal: order.total
+      }
     });
+  } catch (error) {
+    logger.error('Cancel notification email error:', error);
   }
+
+  res.json({
+    success: true,
+    message: fullyCancelled ? 'Order cancelled successfully' : 'Items cancelled successfully',
+    data: { order }
+  });
 }));
 
+// Load the customer's order and check it can still be returned, so photos
+// are only uploaded for eligible orders without a return already pending
+const loadReturnableOrder = asyncHandler(async (req, res, next) => {
+  const order = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (order.orderStatus !== 'delivered') {
+    return res.status(400).json({
+      success: false,
+      message: 'Returns can only be requested for delivered orders'
+    });
+  }
+
+  const deadline = order.getReturnDeadline();
+  if (!deadline || Date.now() > deadline.getTime()) {
+    return res.status(400).json({
+      success: false,
+      message: `Returns must be requested within ${config.returns.windowDays} days of delivery`,
+      data: { returnDeadline: deadline }
+    });
+  }
+
+  if (order.returnRequest && order.returnRequest.status === 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: 'A return request is already pending for this order'
+    });
+  }
+
+  req.order = order;
+  next();
+});
 
+// Every return photo gets its own name, so customers' photos can't replace each other
+const returnPhotoUploader = makeMultipleUploader('returns', 'photos', config.returns.maxPhotos, {
+  getPublicId: (req) => `${req.order._id}-${crypto.randomUUID()}`
+});
+
+// @route   POST /api/orders/:id/return
+// @desc    Request a return for a delivered order (multipart; up to 5 images in "photos")
+// @access  Private
+router.post('/:id/return', protect, loadReturnableOrder, returnPhotoUploader, [
+  body('reason')
+    .isIn(['defective', 'wrong_item', 'not_as_described', 'changed_mind', 'other'])
+    .withMessage('Invalid return reason'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  ...requestItemsValidators
+], asyncHandler(async (req, res) => {
+  // Check for validation errors; rejected requests don't keep their photos
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await deleteUploadedFiles(req);
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
 
+  const { reason, description = '', items = [] } = req.body;
+  const order = req.order;
+  const photos = (req.files || []).map(file => file.path);
+
+  try {
+    await order.requestReturn(reason, description, photos, items);
+  } catch (error) {
+    await deleteUploadedFiles(req);
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Send email notification to admin
+  try {
+    await sendEmail({
+      to: process.env.EMAIL_USER,
+      subject: `Return Request - ${order.orderNumber}`,
+      template: 'returnRequest',
+      data: {
+        orderNumber: order.orderNumber,
+        customerName: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
+        customerEmail: req.user.email,
+        reason,
+        description: `${describeRequestItems(order.returnRequest.items)}. ${description || 'No additional description provided'}`,
+        orderTotal: order.total,
+        photos
+      }
+    });
+  } catch (error) {
+    logger.error('Return request email error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Return request submitted successfully',
+    data: { order }
+  });
+}));
 
 // @route   GET /api/orders/:id/track
 // @desc    Track order status
@@ -436,28 +747,29 @@ router.get('/:id/track', asyncHandler(async (req, res) => {
     });
   }
 
-  // Create tracking timeline
+  // Create tracking timeline from the recorded status changes
+  const reached = (status) => order.statusHistory.some(entry => entry.status === status);
   const timeline = [
     {
       status: 'pending',
       title: 'Order Placed',
       description: 'Your order has been placed and is being reviewed',
-      timestamp: order.createdAt,
+      timestamp: order.getStatusTimestamp('pending'),
       completed: true
     },
     {
       status: 'confirmed',
       title: 'Order Confirmed',
       description: 'Your order has been confirmed and is being prepared',
-      timestamp: order.orderStatus === 'confirmed' || ['processing', 'shipped', 'delivered'].includes(order.orderStatus) ? order.updatedAt : null,
-      completed: ['confirmed', 'processing', 'shipped', 'delivered'].includes(order.orderStatus)
+      timestamp: order.getStatusTimestamp('confirmed'),
+      completed: reached('confirmed') || ['confirmed', 'processing', 'shipped', 'delivered'].includes(order.orderStatus)
     },
     {
       status: 'processing',
       title: 'Processing',
       description: 'Your order is being prepared for shipment',
-      timestamp: order.orderStatus === 'processing' || ['shipped', 'delivered'].includes(order.orderStatus) ? order.updatedAt : null,
-      completed: ['processing', 'shipped', 'delivered'].includes(order.orderStatus)
+      timestamp: order.getStatusTimestamp('processing'),
+      completed: reached('processing') || ['processing', 'shipped', 'delivered'].includes(order.orderStatus)
     },
     {
       status: 'shipped',
@@ -465,18 +777,46 @@ router.get('/:id/track', asyncHandler(async (req, res) => {
       description: order.shippingDetails?.trackingNumber 
         ? `Your order has been shipped (Tracking: ${order.shippingDetails.trackingNumber})`
         : 'Your order has been shipped',
-      timestamp: order.shippingDetails?.shippedAt || (order.orderStatus === 'shipped' || order.orderStatus === 'delivered' ? order.updatedAt : null),
-      completed: ['shipped', 'delivered'].includes(order.orderStatus)
+      timestamp: order.getStatusTimestamp('shipped'),
+      completed: reached('shipped') || ['shipped', 'delivered'].includes(order.orderStatus)
     },
     {
       status: 'delivered',
       title: 'Delivered',
       description: 'Your order has been delivered',
-      timestamp: order.shippingDetails?.deliveredAt || (order.orderStatus === 'delivered' ? order.updatedAt : null),
-      completed: order.orderStatus === 'delivered'
+      timestamp: order.getStatusTimestamp('delivered'),
+      completed: reached('delivered') || order.orderStatus === 'delivered'
     }
   ];
 
+  // Cancelled and returned orders end the timeline with that step
+  if (order.orderStatus === 'cancelled') {
+    timeline.push({
+      status: 'cancelled',
+      title: 'Cancelled',
+      description: order.cancellationReason || 'Your order has been cancelled',
+      timestamp: order.getStatusTimestamp('cancelled'),
+      completed: true
+    });
+  } else if (order.orderStatus === 'returned') {
+    timeline.push({
+      status: 'returned',
+      title: 'Returned',
+      description: 'Your order has been returned',
+      timestamp: order.getStatusTimestamp('returned'),
+      completed: true
+    });
+  }
+
+  // Courier scans, newest first
+  const details = order.shippingDetails || {};
+  const scans = (details.trackingEvents || []).map(event => ({
+    status: event.status,
+    description: event.description,
+    location: event.location,
+    timestamp: event.occurredAt
+  })).reverse();
+
   res.json({
     success: true,
     data: {
@@ -490,7 +830,18 @@ router.get('/:id/track', asyncHandler(async (req, res) => {
         shippingAddress: order.shippingAddress,
         shippingDetails: order.shippingDetails
       },
-      timeline
+      timeline,
+      shipment: details.trackingNumber
+        ? {
+          carrier: details.carrier,
+          trackingNumber: details.trackingNumber,
+          status: details.trackingStatus,
+          estimatedDeliveryFrom: details.estimatedDeliveryFrom,
+          estimatedDelivery: details.estimatedDelivery,
+          lastUpdatedAt: details.lastTrackedAt
+        }
+        : null,
+      scans
     }
   });
 }));
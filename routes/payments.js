@@ -1,38 +1,109 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const Razorpay = require('razorpay');
-const { protect } = require('../middleware/auth');
+const Order = require('../models/Order');
+const { protect, admin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { idempotent } = require('../middleware/idempotency');
 const { logger } = require('../utils/logger');
-
-// Initialize Razorpay (only if keys are provided)
-let razorpay = null;
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET,
-  });
-}
+const ProcessedEvent = require('../models/ProcessedEvent');
+const { listProviders, getProvider, getOrderProvider } = require('../utils/paymentProviders');
+const { findPaymentOrder, markOrderPaid, markPaymentFailed } = require('../utils/orderPayments');
+const {
+  getPaymentGateway,
+  getRefundableAmount,
+  getOutstandingRefundAmount,
+  issueRefund,
+  applyRefundUpdate
+} = require('../utils/refunds');
 
 const router = express.Router();
 
-// @route   POST /api/payments/create-intent
-// @desc    Create payment intent
-// @access  Private
-router.post('/create-intent', protect, [
+// ==================== SHARED PAYMENT HANDLERS ====================
+// Each provider-specific route below is a thin wrapper over these handlers.
+// A null providerName means the provider comes from the :provider URL parameter.
+
+// amount and currency only apply to payments not tied to an order
+const amountValidators = (currencies) => [
   body('amount')
+    .optional()
     .isFloat({ min: 1 })
     .withMessage('Amount must be at least 1'),
   body('currency')
     .optional()
-    .isIn(['inr', 'usd'])
-    .withMessage('Currency must be inr or usd'),
+    .isIn(currencies)
+    .withMessage(`Currency must be ${currencies.join(' or ')}`),
   body('orderId')
     .optional()
     .notEmpty()
     .withMessage('Order ID is required')
-], asyncHandler(async (req, res) => {
+];
+
+// What each provider's checkout hands back for verification
+const verifyValidators = {
+  stripe: [
+    body('paymentIntentId')
+      .notEmpty()
+      .withMessage('Payment intent ID is required'),
+    body('orderId')
+      .optional()
+      .notEmpty()
+      .withMessage('Order ID is required')
+  ],
+  razorpay: [
+    body('orderId')
+      .notEmpty()
+      .withMessage('Order ID is required'),
+    body('paymentId')
+      .notEmpty()
+      .withMessage('Payment ID is required'),
+    body('signature')
+      .notEmpty()
+      .withMessage('Signature is required')
+  ],
+  mock: [
+    body('paymentId')
+      .notEmpty()
+      .withMessage('Payment ID is required'),
+    body('outcome')
+      .optional()
+      .isIn(['succeeded', 'failed'])
+      .withMessage('Outcome must be succeeded or failed')
+  ]
+};
+
+// Run the verification validators of the provider named in the URL
+const validateVerifyPayload = async (req, res, next) => {
+  const chains = verifyValidators[req.params.provider] || [];
+  await Promise.all(chains.map(chain => chain.run(req)));
+  next();
+};
+
+// Enabled provider by name; responds and resolves to null if it can't be used
+const resolveProvider = (name, res) => {
+  const provider = getProvider(name);
+  if (!provider) {
+    res.status(404).json({
+      success: false,
+      message: `Unknown payment provider: ${name}`
+    });
+    return null;
+  }
+
+  if (!provider.isConfigured()) {
+    res.status(503).json({
+      success: false,
+      message: `The ${name} payment service is not configured`
+    });
+    return null;
+  }
+
+  return provider;
+};
+
+// Start a payment with a provider. With an orderId of one of the user's unpaid
+// orders the payment is for the order total in INR, whatever amount and
+// currency the client sent, and the provider is recorded on the order.
+const createPayment = (providerName = null) => asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -42,46 +113,74 @@ router.post('/create-intent', protect, [
     });
   }
 
-  const { amount, currency = 'inr', orderId } = req.body;
+  const name = providerName || req.params.provider;
+  const provider = resolveProvider(name, res);
+  if (!provider) return;
 
-  try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      metadata: {
-        userId: req.user._id.toString(),
-        orderId: orderId || 'cart-payment'
-      }
+  const { orderId } = req.body;
+  const order = await findPaymentOrder(orderId, req.user._id);
+
+  if (orderId && !order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
     });
+  }
+
+  if (order) {
+    if (order.paymentMethod === 'cod') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on delivery orders are paid on delivery'
+      });
+    }
+    if (!['pending', 'failed'].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has already been paid'
+      });
+    }
+  } else if (req.body.amount === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'An order ID or an amount is required'
+    });
+  }
+
+  try {
+    // Each provider defaults to INR
+    const payment = await provider.createPayment(order
+      ? { amount: order.total, orderId: order._id, userId: req.user._id }
+      : { amount: req.body.amount, currency: req.body.currency, userId: req.user._id });
+
+    if (order) {
+      await Order.updateOne({ _id: order._id }, { $set: { 'paymentDetails.provider': name } });
+    }
 
     res.json({
       success: true,
       data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        provider: name,
+        ...payment.clientData
       }
     });
   } catch (error) {
-    logger.error('Stripe payment intent error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error(`${name} payment creation error:`, error);
     res.status(500).json({
       success: false,
-      message: 'Error creating payment intent'
+      message: 'Error creating payment'
     });
   }
-}));
+});
 
-// @route   POST /api/payments/confirm
-// @desc    Confirm payment
-// @access  Private
-router.post('/confirm', protect, [
-  body('paymentIntentId')
-    .notEmpty()
-    .withMessage('Payment intent ID is required'),
-  body('orderId')
-    .optional()
-    .notEmpty()
-    .withMessage('Order ID is required')
-], asyncHandler(async (req, res) => {
+// Check a payment the customer completed at checkout and mark its order paid
+const verifyPayment = (providerName = null, { message = 'Payment verified successfully' } = {}) => asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -91,203 +190,285 @@ router.post('/confirm', protect, [
     });
   }
 
-  const { paymentIntentId, orderId } = req.body;
+  const name = providerName || req.params.provider;
+  const provider = resolveProvider(name, res);
+  if (!provider) return;
 
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-
-    if (paymentIntent.status === 'succeeded') {
-      res.json({
-        success: true,
-        message: 'Payment confirmed successfully',
-        data: {
-          paymentIntentId,
-          amount: paymentIntent.amount / 100,
-          currency: paymentIntent.currency,
-          status: paymentIntent.status
-        }
-      });
-    } else {
-      res.status(400).json({
+    const result = await provider.verifyPayment(req.body);
+    const order = await findPaymentOrder(result.orderId, req.user._id);
+
+    if (!result.verified) {
+      if (order && result.status === 'failed') {
+        await markPaymentFailed(order, { reason: result.reason });
+      }
+      return res.status(400).json({
         success: false,
-        message: 'Payment not completed'
+        message: result.reason || 'Payment not completed'
       });
     }
-  } catch (error) {
-    logger.error('Payment confirmation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error confirming payment'
-    });
-  }
-}));
 
-// @route   GET /api/payments/:orderId
-// @desc    Get payment status
-// @access  Private
-router.get('/:orderId', protect, asyncHandler(async (req, res) => {
-  const { orderId } = req.params;
-
-  try {
-    const paymentIntents = await stripe.paymentIntents.list({
-      limit: 1,
-      metadata: { orderId }
-    });
-
-    if (paymentIntents.data.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found'
+    if (order) {
+      const paid = await markOrderPaid(order, {
+        paymentDetails: result.paymentDetails,
+        amountPaid: result.amountPaid
       });
+      if (paid.error) {
+        return res.status(400).json({
+          success: false,
+          message: paid.error
+        });
+      }
+      if ('refund' in paid) {
+        return res.status(409).json({
+          success: false,
+          message: 'This order was cancelled before the payment arrived, so the payment is being refunded'
+        });
+      }
     }
 
-    const paymentIntent = paymentIntents.data[0];
-
     res.json({
       success: true,
+      message,
       data: {
-        paymentIntentId: paymentIntent.id,
-        amount: paymentIntent.amount / 100,
-        currency: paymentIntent.currency,
-        status: paymentIntent.status,
-        created: paymentIntent.created
+        provider: name,
+        ...result.clientData
       }
     });
   } catch (error) {
-    logger.error('Payment status error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error(`${name} payment verification error:`, error);
     res.status(500).json({
       success: false,
-      message: 'Error retrieving payment status'
+      message: 'Error verifying payment'
     });
   }
-}));
+});
 
-// @route   POST /api/payments/webhook
-// @desc    Stripe webhook handler
-// @access  Public
-// Note: Raw body parsing is configured at app level for this route
-router.post('/webhook', asyncHandler(async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// Apply a verified webhook event, already normalised by its provider, to our orders
+const applyWebhookEvent = async (providerName, event) => {
+  switch (event.type) {
+    case 'payment.succeeded': {
+      const { payment } = event;
+      const order = await findPaymentOrder(payment.orderId, payment.userId);
+      if (!order) {
+        logger.info(`${providerName} payment ${payment.paymentId} succeeded with no matching order`);
+        break;
+      }
+      await markOrderPaid(order, {
+        paymentDetails: payment.paymentDetails,
+        amountPaid: payment.amountPaid
+      });
+      break;
+    }
+    case 'payment.failed': {
+      const { payment } = event;
+      const order = await findPaymentOrder(payment.orderId, payment.userId);
+      if (!order) {
+        logger.info(`${providerName} payment ${payment.paymentId} failed with no matching order`);
+        break;
+      }
+      await markPaymentFailed(order, { reason: event.reason });
+      break;
+    }
+    case 'refund.updated':
+      await applyRefundUpdate({ gateway: providerName, ...event.refund });
+      break;
+    default:
+      logger.info(`Unhandled ${providerName} event type: ${event.sourceType}`);
+  }
+};
+
+// Verify, de-duplicate and apply a provider webhook.
+// Raw body parsing is configured at app level for webhook routes.
+const receiveWebhook = (providerName = null) => asyncHandler(async (req, res) => {
+  const name = providerName || req.params.provider;
+  const provider = getProvider(name);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown payment provider: ${name}`
+    });
+  }
 
   let event;
-
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-  } catch (err) {
-    logger.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    event = await provider.parseWebhook(rawBody, req.headers);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    logger.error(`${name} webhook rejected: ${error.message}`);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      logger.info('Payment succeeded:', paymentIntent.id);
-      // Handle successful payment
-      break;
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      logger.info('Payment failed:', failedPayment.id);
-      // Handle failed payment
-      break;
-    default:
-      logger.info(`Unhandled event type: ${event.type}`);
+  // Gateways retry deliveries, so each event is handled once
+  const firstDelivery = await ProcessedEvent.claim(name, event.id, event.sourceType);
+  if (!firstDelivery) {
+    logger.info(`Skipping already processed ${name} event ${event.id}`);
+    return res.json({ received: true, duplicate: true });
+  }
+
+  try {
+    await applyWebhookEvent(name, event);
+  } catch (error) {
+    // Let the gateway retry the event
+    await ProcessedEvent.release(name, event.id);
+    logger.error(`${name} webhook ${event.sourceType} (${event.id}) failed:`, error);
+    return res.status(500).json({ received: false });
   }
 
   res.json({ received: true });
+});
+
+// ==================== PAYMENT ROUTES ====================
+
+// @route   GET /api/payments/providers
+// @desc    List the payment providers available for checkout
+// @access  Public
+router.get('/providers', asyncHandler(async (req, res) => {
+  const providers = listProviders()
+    .map(name => getProvider(name))
+    .filter(provider => provider.isConfigured())
+    .map(provider => provider.name);
+
+  res.json({
+    success: true,
+    data: { providers }
+  });
 }));
 
-// ==================== RAZORPAY PAYMENT ROUTES ====================
+// @route   POST /api/payments/create-intent
+// @desc    Create payment intent
+// @access  Private (supports Idempotency-Key)
+router.post('/create-intent', protect, idempotent(), amountValidators(['inr', 'usd']), createPayment('stripe'));
+
+// @route   POST /api/payments/confirm
+// @desc    Confirm payment
+// @access  Private
+router.post('/confirm', protect, verifyValidators.stripe, verifyPayment('stripe', { message: 'Payment confirmed successfully' }));
+
+// @route   POST /api/payments/webhook
+// @desc    Stripe webhook handler
+// @access  Public
+router.post('/webhook', receiveWebhook('stripe'));
 
 // @route   POST /api/payments/razorpay/create-order
 // @desc    Create Razorpay order
-// @access  Private
-router.post('/razorpay/create-order', protect, [
-  body('amount')
-    .isFloat({ min: 1 })
-    .withMessage('Amount must be at least 1'),
-  body('currency')
-    .optional()
-    .isIn(['INR'])
-    .withMessage('Currency must be INR'),
-  body('orderId')
-    .optional()
-    .notEmpty()
-    .withMessage('Order ID is required')
-], asyncHandler(async (req, res) => {
-  // Check if Razorpay is initialized
-  if (!razorpay) {
+// @access  Private (supports Idempotency-Key)
+router.post('/razorpay/create-order', protect, idempotent(), amountValidators(['INR']), createPayment('razorpay'));
+
+// @route   GET /api/payments/razorpay/keys
+// @desc    Get Razorpay public key
+// @access  Public
+router.get('/razorpay/keys', asyncHandler(async (req, res) => {
+  if (!process.env.RAZORPAY_KEY_ID) {
     return res.status(503).json({
       success: false,
-      message: 'Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to environment variables.'
+      message: 'Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID to environment variables.'
     });
   }
 
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
+  res.json({
+    success: true,
+    data: {
+      keyId: process.env.RAZORPAY_KEY_ID
+    }
+  });
+}));
+
+// @route   POST /api/payments/:provider/create
+// @desc    Start the payment of one of the user's orders with a provider
+// @access  Private (supports Idempotency-Key)
+router.post('/:provider/create', protect, idempotent(), [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required')
+], createPayment());
+
+// @route   POST /api/payments/:provider/verify
+// @desc    Verify a payment completed at checkout (e.g. /razorpay/verify)
+// @access  Private
+router.post('/:provider/verify', protect, validateVerifyPayload, verifyPayment());
+
+// @route   POST /api/payments/:provider/webhook
+// @desc    Provider webhook handler (e.g. /razorpay/webhook)
+// @access  Public
+router.post('/:provider/webhook', receiveWebhook());
+
+// @route   GET /api/payments/:orderId
+// @desc    Get payment status
+// @access  Private
+router.get('/:orderId', protect, asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.orderId };
+  if (req.user.role !== 'admin') filter.user = req.user._id;
+
+  const order = /^[0-9a-fA-F]{24}$/.test(req.params.orderId) ? await Order.findOne(filter) : null;
+  if (!order || order.paymentMethod === 'cod') {
+    return res.status(404).json({
       success: false,
-      errors: errors.array()
+      message: 'Payment not found'
     });
   }
 
-  const { amount, currency = 'INR', orderId } = req.body;
+  const provider = getOrderProvider(order);
+  if (!provider || !provider.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'The payment service for this order is not available'
+    });
+  }
 
   try {
-    const options = {
-      amount: Math.round(amount * 100), // Convert to paise
-      currency,
-      receipt: orderId || `receipt_${Date.now()}`,
-      notes: {
-        userId: req.user._id.toString(),
-        orderId: orderId || 'cart-payment'
-      }
-    };
-
-    const order = await razorpay.orders.create(options);
+    const payment = await provider.lookupPayment(order);
+    if (payment.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        receipt: order.receipt
+        provider: provider.name,
+        paymentId: payment.paymentId,
+        status: payment.status,
+        paymentStatus: order.paymentStatus,
+        amount: order.total
       }
     });
   } catch (error) {
-    logger.error('Razorpay order creation error:', error);
+    logger.error('Payment status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error creating payment order'
+      message: 'Error retrieving payment status'
     });
   }
 }));
 
-// @route   POST /api/payments/razorpay/verify
-// @desc    Verify Razorpay payment
-// @access  Private
-router.post('/razorpay/verify', protect, [
-  body('orderId')
-    .notEmpty()
-    .withMessage('Order ID is required'),
-  body('paymentId')
-    .notEmpty()
-    .withMessage('Payment ID is required'),
-  body('signature')
-    .notEmpty()
-    .withMessage('Signature is required')
+// @route   POST /api/payments/:orderId/refund
+// @desc    Refund an order through the gateway that took its payment
+// @access  Private/Admin
+router.post('/:orderId/refund', protect, admin, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
 ], asyncHandler(async (req, res) => {
-  // Check if Razorpay is initialized
-  if (!razorpay) {
-    return res.status(503).json({
-      success: false,
-      message: 'Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to environment variables.'
-    });
-  }
-
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -297,60 +478,63 @@ router.post('/razorpay/verify', protect, [
     });
   }
 
-  const { orderId, paymentId, signature } = req.body;
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.orderId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
 
-  try {
-    // Verify the payment signature
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${orderId}|${paymentId}`)
-      .digest('hex');
-
-    if (expectedSignature === signature) {
-      // Payment is verified
-      res.json({
-        success: true,
-        message: 'Payment verified successfully',
-        data: {
-          orderId,
-          paymentId,
-          signature,
-          verified: true
-        }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: 'Payment verification failed'
-      });
-    }
-  } catch (error) {
-    logger.error('Razorpay payment verification error:', error);
-    res.status(500).json({
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    return res.status(404).json({
       success: false,
-      message: 'Error verifying payment'
+      message: 'Order not found'
     });
   }
-}));
 
-// @route   GET /api/payments/razorpay/keys
-// @desc    Get Razorpay public key
-// @access  Public
-router.get('/razorpay/keys', asyncHandler(async (req, res) => {
-  if (!process.env.RAZORPAY_KEY_ID) {
-    return res.status(503).json({
+  if (!getPaymentGateway(order) || !['completed', 'partially_refunded'].includes(order.paymentStatus)) {
+    return res.status(400).json({
       success: false,
-      message: 'Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID to environment variables.'
+      message: 'This order has no captured online payment to refund'
     });
   }
 
-  res.json({
+  // Default to approved cancellation/return refunds not yet sent to the gateway
+  const amount = req.body.amount !== undefined ? req.body.amount : getOutstandingRefundAmount(order);
+  const refundable = getRefundableAmount(order);
+  if (amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No approved refunds are outstanding; pass an amount to refund'
+    });
+  }
+  if (amount > refundable) {
+    return res.status(400).json({
+      success: false,
+      message: `Amount cannot exceed the refundable ₹${refundable}`
+    });
+  }
+
+  const refund = await issueRefund(order, amount, {
+    source: 'manual',
+    reason: req.body.reason,
+    initiatedBy: req.user._id
+  });
+
+  if (refund.status === 'failed') {
+    return res.status(502).json({
+      success: false,
+      message: `Refund failed: ${refund.failureReason}`,
+      data: { refund, order }
+    });
+  }
+
+  res.status(201).json({
     success: true,
-    data: {
-      keyId: process.env.RAZORPAY_KEY_ID
-    }
+    message: refund.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+    data: { refund, order }
   });
 }));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -4,6 +4,7 @@ const Product = require('../models/Product');
 const { protect, admin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { GST_RATES } = require('../utils/tax');
 
 const router = express.Router();
 // Client pseudo-ID mapping endpoint (development)
@@ -297,6 +298,11 @@ router.post('/', protect, admin, [
   body('category')
     .isIn(['Makhana', 'Chips', 'Bites', 'Nuts', 'Seeds'])
     .withMessage('Invalid category'),
+  body('gstRate')
+    .optional({ nullable: true })
+    .isIn(GST_RATES)
+    .withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`)
+    .toFloat(),
   body('image')
     .notEmpty()
     .withMessage('Product image is required'),
@@ -366,7 +372,12 @@ router.put('/:id', protect, admin, [
   body('category')
     .optional()
     .isIn(['Makhana', 'Chips', 'Bites', 'Nuts', 'Seeds'])
-    .withMessage('Invalid category')
+    .withMessage('Invalid category'),
+  body('gstRate')
+    .optional({ nullable: true })
+    .isIn(GST_RATES)
+    .withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`)
+    .toFloat()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
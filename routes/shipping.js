@@ -0,0 +1,113 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getUnitWeight, quoteShipping } = require('../utils/shipping');
+const { receiveTrackingWebhook } = require('../utils/shipments');
+const { estimateDelivery } = require('../utils/eta');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// @route   GET /api/shipping/check?pincode=&productId=&size=&quantity=&subtotal=&weight=
+// @desc    Whether we deliver to a pincode, and the shipping cost and delivery
+//          window there for an order placed now.
+//          The parcel is a product/size (product pages) or a given weight in grams;
+//          subtotal, when known, decides free shipping.
+// @access  Public
+router.get('/check', [
+  query('pincode')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Pincode must be 6 digits'),
+  query('productId')
+    .optional()
+    .notEmpty()
+    .withMessage('Product ID cannot be empty'),
+  query('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+    .toInt(),
+  query('subtotal')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Subtotal must be a positive number')
+    .toFloat(),
+  query('weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight must be a positive number of grams')
+    .toFloat()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { pincode, productId, size, quantity = 1 } = req.query;
+  let { subtotal, weight } = req.query;
+
+  if (productId) {
+    const product = await Product.findByClientId(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const sizeObj = size ? product.sizes.find(s => s.size === size) : product.sizes[0];
+    if (!sizeObj) {
+      return res.status(400).json({ success: false, message: `${product.name} is not available in size ${size}` });
+    }
+    weight = getUnitWeight(product, sizeObj.size) * quantity;
+    if (subtotal === undefined) subtotal = sizeObj.price * quantity;
+  }
+
+  const shipping = await quoteShipping({
+    subtotal: subtotal === undefined ? null : subtotal,
+    weight: weight || 0,
+    pincode
+  });
+  const estimate = shipping.serviceable ? await estimateDelivery(shipping.rate) : null;
+
+  res.json({
+    success: true,
+    message: shipping.serviceable ? undefined : shipping.message,
+    data: {
+      pincode,
+      serviceable: shipping.serviceable,
+      cost: shipping.cost,
+      zone: shipping.rate ? shipping.rate.zone : null,
+      zoneName: shipping.rate ? shipping.rate.zoneName : null,
+      rate: shipping.rate ? shipping.rate.rate : null,
+      freeShippingThreshold: shipping.rate ? shipping.rate.freeShippingThreshold : null,
+      weight: weight || 0,
+      etaDays: shipping.rate ? shipping.rate.etaDays : null,
+      estimatedDelivery: estimate
+        ? { dispatchDate: estimate.dispatchDate, earliest: estimate.earliest, latest: estimate.latest }
+        : null
+    }
+  });
+}));
+
+// @route   POST /api/shipping/:courier/webhook
+// @desc    Tracking scans pushed by a courier (raw body, verified by the courier adapter)
+// @access  Public (courier)
+router.post('/:courier/webhook', asyncHandler(async (req, res) => {
+  const { courier } = req.params;
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const result = await receiveTrackingWebhook(courier, rawBody, req.headers);
+    res.json({ received: true, matched: Boolean(result) });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    logger.error(`${courier} tracking webhook rejected: ${error.message}`);
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+}));
+
+module.exports = router;
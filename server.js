@@ -38,6 +38,7 @@ const adminProductCreateRoute = require('./routes/adminProducts');
 const wishlistRoutes = require('./routes/wishlist');
 const uploadsRoutes = require('./routes/uploads');
 const announcementRoutes = require('./routes/announcements');
+const shippingRoutes = require('./routes/shipping');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -100,8 +101,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Cache-Control', 'Accept'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Cache-Control', 'Accept', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
 }));
 
@@ -138,13 +139,16 @@ app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', authLimiter);
 
-// Stripe webhook must access the raw body, so we apply raw body parser just for that route BEFORE json parser
+// Payment and courier webhooks must access the raw body to verify signatures, so we apply raw body parser just for those routes BEFORE json parser
 app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/payments/:provider/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/shipping/:courier/webhook', express.raw({ type: 'application/json' }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(cookieParser());
+// Signed cookies are used for guest cart IDs
+app.use(cookieParser(config.cookies.secret));
 
 // Compression middleware
 app.use(compression());
@@ -217,6 +221,7 @@ app.use('/api/admin/products', adminProductCreateRoute);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/uploads', uploadsRoutes);
 app.use('/api/announcements', announcementRoutes);
+app.use('/api/shipping', shippingRoutes);
 
 // Catch all handler for undefined routes
 app.all('*', (req, res) => {
@@ -277,6 +282,12 @@ const startServer = async () => {
         logger.error(errorMsg);
         process.exit(1);
       }
+      if (!process.env.COOKIE_SECRET || process.env.COOKIE_SECRET === process.env.JWT_SECRET) {
+        const errorMsg = 'COOKIE_SECRET is required in production and must differ from JWT_SECRET. Please set the environment variable.';
+        console.error(errorMsg);
+        logger.error(errorMsg);
+        process.exit(1);
+      }
       console.log('Production environment variables validated successfully');
     }
 
@@ -310,6 +321,16 @@ const startServer = async () => {
 
     // Connect to database in background (non-blocking)
     connectDB().then(() => {
+      // Background jobs need the database
+      if (mongoose.connection.readyState === 1) {
+        const { startStockHoldSweeper } = require('./jobs/stockHoldSweeper');
+        startStockHoldSweeper();
+        const { startPaymentReconciler } = require('./jobs/paymentReconciler');
+        startPaymentReconciler();
+        const { startTrackingSync } = require('./jobs/trackingSync');
+        startTrackingSync();
+      }
+
       // Seed default coupon if in development (after DB connects)
       if (process.env.NODE_ENV !== 'production') {
         setTimeout(async () => {
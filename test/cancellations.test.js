@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const { cancelOrderLines } = require('../utils/cancellations');
+
+const adminId = new mongoose.Types.ObjectId();
+
+const buildOrder = (fields = {}) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  orderNumber: 'VB-20260118-4321',
+  paymentMethod: 'cod',
+  paymentStatus: 'pending',
+  orderStatus: 'confirmed',
+  items: [
+    { product: new mongoose.Types.ObjectId(), name: 'Roasted Makhana', size: '100g', price: 150, quantity: 2 },
+    { product: new mongoose.Types.ObjectId(), name: 'Ragi Chips', size: '200g', price: 100, quantity: 1 }
+  ],
+  subtotal: 400,
+  discount: 40,
+  shippingCost: 49,
+  total: 409,
+  appliedCoupon: { code: 'WELCOME10', discount: 40 },
+  ...fields
+});
+
+describe('cancelOrderLines', () => {
+  let released;
+  let couponReleases;
+  let saves;
+
+  beforeEach(() => {
+    released = [];
+    couponReleases = [];
+    saves = 0;
+    // A standalone server: the unit of work runs with compensating rollbacks
+    mock.method(mongoose, 'startSession', async () => ({
+      withTransaction: async () => {
+        const error = new Error('Transaction numbers are only allowed on a replica set member or mongos');
+        error.code = 20;
+        throw error;
+      },
+      endSession: async () => {}
+    }));
+    mock.method(Product, 'releaseStock', async (lines) => {
+      released.push(...lines.map(line => ({ size: line.size, quantity: line.quantity })));
+    });
+    const coupon = { releaseRedemption: async (orderId) => couponReleases.push(orderId) };
+    mock.method(Coupon, 'findOne', () => ({ session: async () => coupon }));
+    mock.method(Order.prototype, 'save', async function() {
+      saves++;
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('cancels everything left, restocks it and releases the coupon use', async () => {
+    const order = buildOrder();
+
+    const { lines } = await cancelOrderLines(order, {
+      reason: 'other',
+      description: 'Out of stock at the warehouse',
+      status: { actor: 'admin', changedBy: adminId, note: 'Out of stock at the warehouse' }
+    });
+
+    assert.equal(order.orderStatus, 'cancelled');
+    assert.deepEqual(released, [{ size: '100g', quantity: 2 }, { size: '200g', quantity: 1 }]);
+    assert.deepEqual(couponReleases, [order._id]);
+    assert.equal(lines.refundAmount, 409);
+    assert.equal(order.cancelRequest.status, 'approved');
+    assert.ok(order.cancelRequest.processedBy.equals(adminId));
+    assert.equal(order.statusHistory[order.statusHistory.length - 1].actor, 'admin');
+  });
+
+  it('keeps the coupon use when only some lines are cancelled', async () => {
+    const order = buildOrder();
+
+    await cancelOrderLines(order, {
+      items: [{ itemId: order.items[1]._id, quantity: 1 }],
+      reason: 'changed_mind',
+      status: { actor: 'customer', changedBy: order.user }
+    });
+
+    assert.equal(order.orderStatus, 'confirmed');
+    assert.deepEqual(released, [{ size: '200g', quantity: 1 }]);
+    assert.deepEqual(couponReleases, []);
+  });
+
+  it('changes nothing when the order can no longer be cancelled', async () => {
+    const order = buildOrder({ orderStatus: 'shipped' });
+
+    await assert.rejects(
+      cancelOrderLines(order, { reason: 'other', status: { actor: 'admin', changedBy: adminId } }),
+      { statusCode: 400 }
+    );
+    assert.deepEqual(released, []);
+    assert.equal(saves, 0);
+  });
+});
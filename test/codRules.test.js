@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const Setting = require('../models/Setting');
+const { updateSetting, invalidateSettings } = require('../utils/settings');
+const { checkCodEligibility } = require('../utils/cod');
+
+describe('COD rules', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = null;
+    invalidateSettings();
+    // In-memory stand-in for the settings collection
+    mock.method(Setting, 'findById', () => ({
+      select: () => ({ lean: async () => (stored ? structuredClone(stored) : null) })
+    }));
+    mock.method(Setting, 'replaceValue', async (key, { value, expectedVersion }) => {
+      if ((stored ? stored.version : 0) !== expectedVersion) return null;
+      stored = { _id: key, value: structuredClone(value), version: expectedVersion + 1, updatedAt: new Date() };
+      return stored;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    invalidateSettings();
+  });
+
+  it('stores changes in the settings collection, not in config', async () => {
+    const defaults = structuredClone(config.cod);
+
+    const { value, version } = await updateSetting('cod', current => ({ ...current, maxOrderValue: 1000, fee: 30 }));
+
+    assert.equal(version, 1);
+    assert.equal(value.maxOrderValue, 1000);
+    assert.equal(stored.value.fee, 30);
+    assert.deepEqual(config.cod, defaults);
+  });
+
+  it('applies stored rules to COD eligibility', async () => {
+    await updateSetting('cod', current => ({ ...current, maxOrderValue: 1000, serviceablePincodes: ['560001'] }));
+    // As another instance would see it once its cache expires
+    invalidateSettings();
+
+    const eligibility = await checkCodEligibility({ orderValue: 1500, pincode: '110001' });
+
+    assert.equal(eligibility.available, false);
+    assert.deepEqual(eligibility.reasons.map(reason => reason.type), ['order_value_exceeded', 'pincode_not_serviceable']);
+  });
+
+  it('rejects invalid rules without storing them', async () => {
+    await assert.rejects(
+      updateSetting('cod', current => ({ ...current, serviceablePincodes: ['1100'] })),
+      { statusCode: 400 }
+    );
+    assert.equal(stored, null);
+  });
+});
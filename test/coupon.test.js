@@ -0,0 +1,57 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+
+const buildCoupon = (redemptions) => new Coupon({
+  code: 'DIWALI10',
+  description: 'Festive discount',
+  discountType: 'percentage',
+  discountValue: 10,
+  validFrom: new Date('2026-01-01T00:00:00Z'),
+  validUntil: new Date('2026-12-31T00:00:00Z'),
+  usedCount: redemptions.length,
+  redemptions
+});
+
+describe('coupon redemptions', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('releases an order\'s redemption and can put it back on rollback', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    const coupon = buildCoupon([{ user: userId, order: orderId, discountAmount: 50 }]);
+    const updates = [];
+    mock.method(Coupon, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { modifiedCount: 1 };
+    });
+    const rollbacks = [];
+
+    await coupon.releaseRedemption(orderId, { onRollback: undo => rollbacks.push(undo) });
+
+    assert.deepEqual(updates[0].update.$inc, { usedCount: -1 });
+    assert.equal(rollbacks.length, 1);
+
+    await rollbacks[0]();
+
+    const restore = updates[1].update;
+    assert.deepEqual(restore.$inc, { usedCount: 1 });
+    assert.ok(restore.$push.redemptions.order.equals(orderId));
+    assert.equal(restore.$push.redemptions.discountAmount, 50);
+    // Never restored twice
+    assert.deepEqual(updates[1].filter['redemptions.order'], { $ne: orderId });
+  });
+
+  it('registers nothing when the order had no redemption', async () => {
+    const coupon = buildCoupon([]);
+    mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 0 }));
+    const rollbacks = [];
+
+    await coupon.releaseRedemption(new mongoose.Types.ObjectId(), { onRollback: undo => rollbacks.push(undo) });
+
+    assert.equal(rollbacks.length, 0);
+  });
+});
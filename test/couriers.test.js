@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const { createFakeCourier } = require('../utils/couriers/fake');
+const { getCourier, listCouriers } = require('../utils/couriers');
+const { createShipment, recordManualShipment } = require('../utils/shipments');
+
+const order = {
+  orderNumber: 'VB-20260118-1234',
+  paymentMethod: 'cod',
+  total: 640,
+  shippingAddress: {
+    firstName: 'Asha',
+    lastName: 'Rao',
+    address: '12 MG Road',
+    city: 'Bengaluru',
+    state: 'Karnataka',
+    pincode: '560001',
+    phone: '9876543210'
+  }
+};
+
+// Run fn with the fake courier switched on or off
+const withFakeCourier = async (enabled, fn) => {
+  const previous = config.couriers.fakeEnabled;
+  config.couriers.fakeEnabled = enabled;
+  try {
+    return await fn();
+  } finally {
+    config.couriers.fakeEnabled = previous;
+  }
+};
+
+describe('fake courier', () => {
+  it('is off unless ENABLE_FAKE_COURIER is true', async () => {
+    assert.equal(config.couriers.fakeEnabled, process.env.ENABLE_FAKE_COURIER === 'true');
+
+    await withFakeCourier(false, () => {
+      assert.equal(getCourier('fake'), null);
+      assert.ok(!listCouriers().includes('fake'));
+    });
+  });
+
+  it('books a shipment with a manifested scan', async () => {
+    const courier = createFakeCourier();
+
+    const shipment = await courier.createShipment({ order, weight: 750 });
+
+    assert.match(shipment.awb, /^FAKE\d+$/);
+    assert.equal(shipment.carrier, 'Fake Express');
+    assert.deepEqual(shipment.events.map(event => event.status), ['manifested']);
+  });
+
+  it('returns recorded scans from tracking', async () => {
+    const courier = createFakeCourier();
+    const { awb } = await courier.createShipment({ order, weight: 750 });
+
+    courier.recordScan(awb, { status: 'picked_up', location: 'Bengaluru hub' });
+    const tracking = await courier.getTracking({ awb });
+
+    assert.equal(tracking.awb, awb);
+    assert.deepEqual(tracking.events.map(event => event.status), ['manifested', 'picked_up']);
+    assert.equal(tracking.events[1].location, 'Bengaluru hub');
+    assert.throws(() => courier.recordScan(awb, { status: 'lost' }), { statusCode: 400 });
+    await assert.rejects(courier.getTracking({ awb: 'FAKE0000' }), { statusCode: 404 });
+  });
+
+  it('records webhook scans and rejects malformed ones', async () => {
+    const courier = createFakeCourier();
+    const { awb } = await courier.createShipment({ order, weight: 750 });
+
+    const update = await courier.parseWebhook(Buffer.from(JSON.stringify({ awb, status: 'in_transit', location: 'Delhi hub' })));
+
+    assert.equal(update.awb, awb);
+    assert.equal(update.events[0].status, 'in_transit');
+    assert.equal((await courier.getTracking({ awb })).events.length, 2);
+    await assert.rejects(courier.parseWebhook(Buffer.from('not json')), { statusCode: 400 });
+    await assert.rejects(courier.parseWebhook(Buffer.from(JSON.stringify({ awb }))), { statusCode: 400 });
+  });
+
+  it('renders a PDF label', async () => {
+    const courier = createFakeCourier();
+    const { awb } = await courier.createShipment({ order, weight: 750 });
+
+    const label = await courier.getLabel({ awb });
+
+    assert.equal(label.contentType, 'application/pdf');
+    assert.equal(label.content.subarray(0, 4).toString(), '%PDF');
+  });
+
+  it('knows its transit days per zone', () => {
+    const courier = createFakeCourier();
+
+    assert.deepEqual(courier.transitDays('metro'), { min: 1, max: 2 });
+    assert.equal(courier.transitDays('moon'), null);
+  });
+});
+
+describe('shipments', () => {
+  it('skips booking when no courier is configured and booking is optional', async () => {
+    await withFakeCourier(false, async () => {
+      assert.deepEqual(await createShipment(order, { required: false }), { created: false, skipped: true });
+      await assert.rejects(createShipment(order), { statusCode: 503 });
+    });
+  });
+
+  it('records an AWB entered by hand', () => {
+    const manual = { shippingDetails: {} };
+
+    recordManualShipment(manual, { trackingNumber: 'DTDC123456', carrier: 'DTDC' });
+
+    assert.equal(manual.shippingDetails.trackingNumber, 'DTDC123456');
+    assert.equal(manual.shippingDetails.carrier, 'DTDC');
+  });
+
+  it('keeps the AWB of an order booked with a courier', () => {
+    const booked = { shippingDetails: { courier: 'fake', carrier: 'Fake Express', trackingNumber: 'FAKE123' } };
+
+    assert.throws(() => recordManualShipment(booked, { trackingNumber: 'DTDC123456' }), { statusCode: 400 });
+    assert.equal(booked.shippingDetails.trackingNumber, 'FAKE123');
+  });
+});
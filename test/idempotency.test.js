@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+
+const HOUR = 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+
+const buildRequest = (body = { items: [{ productId: 'makhana01', quantity: 1 }] }) => ({
+  method: 'POST',
+  originalUrl: '/api/orders',
+  body,
+  user: { _id: userId },
+  get: (header) => (header === 'Idempotency-Key' ? 'checkout-1' : undefined)
+});
+
+// Response that records what was sent
+const buildResponse = () => {
+  const res = { statusCode: 200, headers: {}, sent: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = (body) => {
+    res.sent = body;
+    return res;
+  };
+  return res;
+};
+
+// Run the middleware; resolves to true when it passed the request on
+const run = (req, res) => new Promise((resolve, reject) => {
+  const json = res.json;
+  res.json = (body) => {
+    json(body);
+    resolve(false);
+    return res;
+  };
+  idempotent({ windowHours: 24, leaseSeconds: 60 })(req, res, (error) => (error ? reject(error) : resolve(true)));
+});
+
+describe('idempotency keys', () => {
+  // The stored record for the key, if any
+  let stored;
+  let stores;
+
+  beforeEach(() => {
+    stored = null;
+    stores = [];
+    mock.method(IdempotencyKey, 'create', async (fields) => {
+      if (stored) {
+        const error = new Error('E11000 duplicate key error');
+        error.code = 11000;
+        throw error;
+      }
+      stored = { _id: new mongoose.Types.ObjectId(), status: 'processing', ...fields };
+      return stored;
+    });
+    mock.method(IdempotencyKey, 'findOneAndUpdate', async (filter, update) => {
+      const [expired, stale] = filter.$or;
+      const now = expired.expiresAt.$lte;
+      const takeable = stored && (stored.expiresAt <= now ||
+        (stored.status === 'processing' && stored.requestHash === stale.requestHash && !(stored.lockedUntil > now)));
+      if (!takeable) return null;
+      stored = { _id: stored._id, key: stored.key, user: stored.user, scope: stored.scope, ...update.$set };
+      return stored;
+    });
+    mock.method(IdempotencyKey, 'findOne', async () => stored);
+    const holds = (filter) => stored && stored._id === filter._id && stored.status === filter.status &&
+      stored.lockedUntil === filter.lockedUntil;
+    mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+      stores.push(update.$set);
+      if (!holds(filter)) return { modifiedCount: 0 };
+      const { lockedUntil, ...rest } = stored;
+      stored = { ...rest, ...update.$set };
+      return { modifiedCount: 1 };
+    });
+    mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+      if (holds(filter)) stored = null;
+      return { deletedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('replays a completed response within the window', async () => {
+    const first = buildResponse();
+    assert.equal(await run(buildRequest(), first), true);
+    first.status(201).json({ success: true, data: { orderNumber: 'VB-20260118-0001' } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const retry = buildResponse();
+    assert.equal(await run(buildRequest(), retry), false);
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(retry.sent, { success: true, data: { orderNumber: 'VB-20260118-0001' } });
+  });
+
+  it('treats a record past its window as missing', async () => {
+    assert.equal(await run(buildRequest(), buildResponse()), true);
+    Object.assign(stored, {
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { success: true },
+      expiresAt: new Date(Date.now() - HOUR)
+    });
+
+    assert.equal(await run(buildRequest({ items: [] }), buildResponse()), true);
+    assert.equal(stored.status, 'processing');
+    assert.ok(stored.expiresAt > new Date());
+  });
+
+  it('keeps a key that is still processing within its lease', async () => {
+    assert.equal(await run(buildRequest(), buildResponse()), true);
+
+    const retry = buildResponse();
+    assert.equal(await run(buildRequest(), retry), false);
+    assert.equal(retry.statusCode, 409);
+  });
+
+  it('lets a retry take over a key whose request died while processing', async () => {
+    const crashed = buildResponse();
+    assert.equal(await run(buildRequest(), crashed), true);
+    stored.lockedUntil = new Date(Date.now() - 1000);
+
+    const retry = buildResponse();
+    assert.equal(await run(buildRequest(), retry), true);
+    retry.status(201).json({ success: true, attempt: 'retry' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    // The first request finishing late doesn't replace the retry's response
+    crashed.status(201).json({ success: true, attempt: 'first' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(stored.responseBody, { success: true, attempt: 'retry' });
+    assert.equal(stores.length, 2);
+  });
+
+  it('refuses a different request with a key that is still live', async () => {
+    assert.equal(await run(buildRequest(), buildResponse()), true);
+    stored.lockedUntil = new Date(Date.now() - 1000);
+
+    const other = buildResponse();
+    assert.equal(await run(buildRequest({ items: [] }), other), false);
+    assert.equal(other.statusCode, 422);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+
+// Let other pending calls run, as a round trip to the database would
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('invoice numbers', () => {
+  let stored;
+  let seq;
+
+  beforeEach(() => {
+    // The order's invoice as the database holds it
+    stored = {};
+    seq = 0;
+    mock.method(Counter, 'next', async () => {
+      await tick();
+      return ++seq;
+    });
+    mock.method(Order, 'findOneAndUpdate', (filter, update) => ({
+      select: async () => {
+        await tick();
+        const lease = filter.$or[1]['invoice.claimedAt'].$lte;
+        const claimable = !stored.number && (!stored.claimedAt || stored.claimedAt <= lease);
+        if (!claimable) return null;
+        stored.claimedAt = update.$set['invoice.claimedAt'];
+        return { _id: filter._id };
+      }
+    }));
+    mock.method(Order, 'updateOne', async (filter, update) => {
+      await tick();
+      if (stored.number || stored.claimedAt !== filter['invoice.claimedAt']) return { modifiedCount: 0 };
+      stored.number = update.$set['invoice.number'];
+      stored.issuedAt = update.$set['invoice.issuedAt'];
+      return { modifiedCount: 1 };
+    });
+    mock.method(Order, 'findById', () => ({
+      select: async () => {
+        await tick();
+        return { invoice: { ...stored } };
+      }
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('takes one number from the sequence when two requests race for it', async () => {
+    const _id = new mongoose.Types.ObjectId();
+    const first = Order.hydrate({ _id });
+    const second = Order.hydrate({ _id });
+
+    const [a, b] = await Promise.all([first.ensureInvoiceNumber(), second.ensureInvoiceNumber()]);
+
+    assert.equal(seq, 1);
+    assert.equal(a, b);
+    assert.match(a, /^VB\/\d{4}-\d{2}\/00001$/);
+    assert.equal(second.invoice.number, a);
+  });
+
+  it('keeps the series continuous across orders', async () => {
+    const numbers = [];
+    for (let i = 0; i < 3; i++) {
+      stored = {};
+      numbers.push(await Order.hydrate({ _id: new mongoose.Types.ObjectId() }).ensureInvoiceNumber());
+    }
+
+    assert.deepEqual(numbers.map(number => number.slice(-5)), ['00001', '00002', '00003']);
+  });
+
+  it('takes over a claim whose request never issued the number', async () => {
+    stored = { claimedAt: new Date(Date.now() - 60 * 1000) };
+
+    const number = await Order.hydrate({ _id: new mongoose.Types.ObjectId() }).ensureInvoiceNumber();
+
+    assert.match(number, /00001$/);
+  });
+
+  it('returns the number already issued without taking another', async () => {
+    const order = Order.hydrate({ _id: new mongoose.Types.ObjectId(), invoice: { number: 'VB/2026-27/00042' } });
+
+    assert.equal(await order.ensureInvoiceNumber(), 'VB/2026-27/00042');
+    assert.equal(seq, 0);
+  });
+});
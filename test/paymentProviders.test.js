@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider } = require('../utils/paymentProviders/mock');
+const { createStripeProvider } = require('../utils/paymentProviders/stripe');
+const { getProvider, listProviders } = require('../utils/paymentProviders');
+const config = require('../config/config');
+
+const orderId = '65a1b2c3d4e5f6a7b8c9d0e1';
+const userId = '65a1b2c3d4e5f6a7b8c9d0ff';
+
+describe('mock payment provider', () => {
+  it('is off unless ENABLE_MOCK_PAYMENTS is true', () => {
+    assert.equal(config.payments.mockEnabled, process.env.ENABLE_MOCK_PAYMENTS === 'true');
+
+    const enabled = config.payments.mockEnabled;
+    try {
+      config.payments.mockEnabled = false;
+      assert.equal(getProvider('mock'), null);
+      assert.ok(!listProviders().includes('mock'));
+    } finally {
+      config.payments.mockEnabled = enabled;
+    }
+  });
+
+  it('settles a payment with the outcome checkout asks for', async () => {
+    const mock = createMockProvider();
+    const paid = await mock.createPayment({ amount: 250, orderId, userId });
+    const failed = await mock.createPayment({ amount: 250, orderId, userId });
+
+    const success = await mock.verifyPayment({ paymentId: paid.paymentId });
+    const failure = await mock.verifyPayment({ paymentId: failed.paymentId, outcome: 'failed' });
+
+    assert.equal(success.verified, true);
+    assert.equal(success.orderId, orderId);
+    assert.equal(success.amountPaid, 250);
+    assert.equal(failure.verified, false);
+    assert.equal(failure.status, 'failed');
+    assert.equal(failure.amountPaid, undefined);
+  });
+
+  it('reports no INR amount for a payment in another currency', async () => {
+    const mock = createMockProvider();
+    const payment = await mock.createPayment({ amount: 5, currency: 'usd', orderId, userId });
+
+    const result = await mock.verifyPayment({ paymentId: payment.paymentId });
+
+    assert.equal(result.verified, true);
+    assert.equal(result.amountPaid, undefined);
+  });
+
+  it('finds an order\'s payment by order ID', async () => {
+    const mock = createMockProvider();
+    const order = { _id: orderId };
+    assert.deepEqual(await mock.lookupPayment(order), { status: 'not_found' });
+
+    const payment = await mock.createPayment({ amount: 100, orderId, userId });
+    assert.equal((await mock.lookupPayment(order)).status, 'pending');
+
+    await mock.verifyPayment({ paymentId: payment.paymentId });
+    assert.equal((await mock.lookupPayment(order)).status, 'paid');
+  });
+
+  it('refunds once per idempotency key', async () => {
+    const mock = createMockProvider();
+    const order = { _id: orderId, paymentDetails: { transactionId: 'mock_pay_1' } };
+
+    const first = await mock.refund({ order, amount: 50, idempotencyKey: 'refund-1' });
+    const retry = await mock.refund({ order, amount: 50, idempotencyKey: 'refund-1' });
+    const next = await mock.refund({ order, amount: 50, idempotencyKey: 'refund-2' });
+
+    assert.equal(first.status, 'processed');
+    assert.equal(retry.refundId, first.refundId);
+    assert.notEqual(next.refundId, first.refundId);
+  });
+
+  it('normalises webhook events and rejects malformed ones', async () => {
+    const mock = createMockProvider();
+    const payment = await mock.createPayment({ amount: 100, orderId, userId });
+
+    const event = await mock.parseWebhook(Buffer.from(JSON.stringify({
+      id: 'evt_1',
+      type: 'payment.succeeded',
+      paymentId: payment.paymentId
+    })));
+
+    assert.equal(event.type, 'payment.succeeded');
+    assert.equal(event.payment.orderId, orderId);
+    assert.equal(event.payment.amountPaid, 100);
+    await assert.rejects(mock.parseWebhook(Buffer.from('not json')), { statusCode: 400 });
+    await assert.rejects(mock.parseWebhook(Buffer.from('{"type":"payment.succeeded"}')), { statusCode: 400 });
+  });
+});
+
+describe('stripe payment provider', () => {
+  const intent = {
+    id: 'pi_test_1',
+    status: 'succeeded',
+    currency: 'inr',
+    amount: 50000,
+    amount_received: 50000,
+    metadata: { orderId, userId }
+  };
+  const stripe = {
+    paymentIntents: {
+      retrieve: async () => intent
+    }
+  };
+
+  it('verifies a payment for the order its intent was created for', async () => {
+    const provider = createStripeProvider({ client: stripe });
+
+    const result = await provider.verifyPayment({ paymentIntentId: intent.id, orderId });
+
+    assert.equal(result.verified, true);
+    assert.equal(result.orderId, orderId);
+    assert.equal(result.amountPaid, 500);
+  });
+
+  it('refuses an orderId that is not the intent\'s order', async () => {
+    const provider = createStripeProvider({ client: stripe });
+
+    await assert.rejects(
+      provider.verifyPayment({ paymentIntentId: intent.id, orderId: '65a1b2c3d4e5f6a7b8c9d0e2' }),
+      { statusCode: 400 }
+    );
+  });
+});
@@ -0,0 +1,260 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { reconcileOrder, runPaymentReconciliation } = require('../jobs/paymentReconciler');
+
+const now = new Date('2026-01-18T10:00:00Z');
+
+// Orders built by a test, by ID, standing in for the orders collection
+const built = new Map();
+
+const buildOrder = (fields = {}) => register(new Order({
+  user: new mongoose.Types.ObjectId(),
+  orderNumber: `VB-20260118-${Math.floor(Math.random() * 9000) + 1000}`,
+  paymentMethod: 'card',
+  paymentStatus: 'pending',
+  orderStatus: 'pending',
+  subtotal: 500,
+  total: 500,
+  createdAt: new Date('2026-01-18T09:00:00Z'),
+  ...fields
+}));
+
+function register(order) {
+  built.set(order._id.toString(), order);
+  return order;
+}
+
+const stripeIntent = (order, fields = {}) => ({
+  id: 'pi_test_1',
+  status: 'succeeded',
+  currency: 'inr',
+  amount: order.total * 100,
+  amount_received: order.total * 100,
+  metadata: { orderId: order._id.toString(), userId: order.user.toString() },
+  ...fields
+});
+
+// Stand-in Stripe client: every intent lookup resolves to `intents`
+const stubStripe = (intents, { refunds = [] } = {}) => ({
+  paymentIntents: {
+    retrieve: async (id) => intents.find(intent => intent.id === id),
+    search: async () => ({ data: intents })
+  },
+  refunds: {
+    create: async (params) => {
+      const refund = { id: `re_test_${refunds.length + 1}`, status: 'succeeded', ...params };
+      refunds.push(refund);
+      return refund;
+    }
+  }
+});
+
+// Stand-in Razorpay client holding `payments`
+const stubRazorpay = (payments) => ({
+  payments: {
+    fetch: async (id) => payments.find(payment => payment.id === id)
+  },
+  orders: {
+    all: async () => ({ items: payments.length ? [{ id: 'order_rzp_1' }] : [] }),
+    fetchPayments: async () => ({ items: payments })
+  }
+});
+
+describe('payment reconciler', () => {
+  let saved;
+  let updates;
+  // What the database holds, by order ID, when it differs from the built order
+  let stored;
+
+  beforeEach(() => {
+    saved = [];
+    updates = [];
+    stored = new Map();
+    // The payment claim finds the stored copy, as it was before the claim
+    mock.method(Order, 'findOneAndUpdate', async (filter) => {
+      const id = String(filter._id);
+      const order = stored.get(id) || built.get(id);
+      return order && filter.paymentStatus.$in.includes(order.paymentStatus) ? order : null;
+    });
+    mock.method(Order.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+    // Claims succeed; the confirmation email is treated as already sent
+    mock.method(Order, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { modifiedCount: 'confirmationEmailSentAt' in filter ? 0 : 1 };
+    });
+    mock.method(ReconciliationReport, 'recordDiscrepancy', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('reconcileOrder', () => {
+    it('marks a pending order paid when the gateway captured the payment', async () => {
+      const order = buildOrder({ paymentDetails: { paymentIntentId: 'pi_test_1' } });
+      const stripe = stubStripe([stripeIntent(order)]);
+
+      const result = await reconcileOrder(order, { clients: { stripe }, now });
+
+      assert.equal(result.fixed, true);
+      assert.equal(result.discrepancy.type, 'paid_but_pending');
+      assert.equal(result.discrepancy.resolved, true);
+      assert.equal(result.discrepancy.paymentStatus, 'pending');
+      assert.equal(order.paymentStatus, 'completed');
+      assert.equal(order.orderStatus, 'confirmed');
+    });
+
+    it('leaves an underpaid order unpaid and reports it unresolved', async () => {
+      const order = buildOrder({ paymentDetails: { paymentIntentId: 'pi_test_1' } });
+      const stripe = stubStripe([stripeIntent(order, { amount_received: 10000 })]);
+
+      const result = await reconcileOrder(order, { clients: { stripe }, now });
+
+      assert.equal(result.fixed, false);
+      assert.equal(result.discrepancy.type, 'paid_but_pending');
+      assert.equal(result.discrepancy.resolved, false);
+      assert.equal(order.paymentStatus, 'pending');
+    });
+
+    it('does not accept a payment taken in another currency', async () => {
+      const order = buildOrder({ paymentDetails: { paymentIntentId: 'pi_test_1' } });
+      const stripe = stubStripe([stripeIntent(order, { currency: 'usd' })]);
+
+      const result = await reconcileOrder(order, { clients: { stripe }, now });
+
+      assert.equal(result.fixed, false);
+      assert.equal(result.discrepancy.resolved, false);
+      assert.equal(order.paymentStatus, 'pending');
+    });
+
+    it('reports a confirmed order whose gateway payment failed', async () => {
+      const order = buildOrder({
+        paymentMethod: 'razorpay',
+        orderStatus: 'confirmed',
+        paymentDetails: { transactionId: 'pay_test_1' }
+      });
+      const razorpay = stubRazorpay([{ id: 'pay_test_1', status: 'failed', currency: 'INR', amount: 50000 }]);
+
+      const result = await reconcileOrder(order, { clients: { razorpay }, now });
+
+      assert.equal(result.fixed, false);
+      assert.equal(result.discrepancy.type, 'failed_but_confirmed');
+      assert.equal(result.discrepancy.gateway, 'razorpay');
+      assert.equal(result.discrepancy.gatewayStatus, 'failed');
+      assert.equal(result.discrepancy.resolved, false);
+      assert.equal(saved.length, 0);
+    });
+
+    it('reports a confirmed order the gateway has no payment for', async () => {
+      const order = buildOrder({ orderStatus: 'processing' });
+      const stripe = stubStripe([]);
+
+      const result = await reconcileOrder(order, { clients: { stripe }, now });
+
+      assert.equal(result.discrepancy.type, 'failed_but_confirmed');
+      assert.equal(result.discrepancy.gatewayStatus, 'not_found');
+    });
+
+    it('leaves a pending order alone when the gateway has no payment yet', async () => {
+      const order = buildOrder({ paymentMethod: 'razorpay' });
+      const razorpay = stubRazorpay([]);
+
+      const result = await reconcileOrder(order, { clients: { razorpay }, now });
+
+      assert.deepEqual(result, { fixed: false, discrepancy: null });
+      assert.equal(updates.length, 0);
+    });
+
+    it('refunds a payment captured after the order was cancelled', async () => {
+      const order = buildOrder({
+        orderStatus: 'cancelled',
+        paymentStatus: 'failed',
+        stockHold: { releasedAt: new Date('2026-01-18T09:30:00Z') },
+        paymentDetails: { paymentIntentId: 'pi_test_1' }
+      });
+      const refunds = [];
+      const stripe = stubStripe([stripeIntent(order)], { refunds });
+
+      const result = await reconcileOrder(order, { clients: { stripe }, now });
+
+      assert.equal(result.fixed, true);
+      assert.equal(result.discrepancy.type, 'paid_after_cancel');
+      assert.equal(result.discrepancy.resolved, true);
+      assert.equal(refunds.length, 1);
+      assert.equal(refunds[0].amount, 50000);
+      assert.equal(order.orderStatus, 'cancelled');
+      assert.equal(order.paymentStatus, 'refunded');
+    });
+
+    it('refunds instead of confirming when the order was cancelled after it was loaded', async () => {
+      const order = buildOrder({ paymentDetails: { paymentIntentId: 'pi_test_1' } });
+      // The stock hold sweeper cancelled it in the meantime
+      const cancelled = Order.hydrate({
+        ...order.toObject(),
+        orderStatus: 'cancelled',
+        paymentStatus: 'failed',
+        stockHold: { releasedAt: new Date('2026-01-18T09:55:00Z') }
+      });
+      stored.set(order._id.toString(), cancelled);
+      const refunds = [];
+      const stripe = stubStripe([stripeIntent(order)], { refunds });
+
+      const result = await reconcileOrder(order, { clients: { stripe }, now });
+
+      assert.equal(result.discrepancy.type, 'paid_after_cancel');
+      assert.equal(refunds.length, 1);
+      assert.ok(saved.length > 0 && saved.every(doc => doc === cancelled));
+      assert.equal(cancelled.orderStatus, 'cancelled');
+      assert.equal(cancelled.paymentStatus, 'refunded');
+      assert.equal(order.orderStatus, 'pending');
+    });
+  });
+
+  describe('runPaymentReconciliation', () => {
+    it('reconciles each stale order and records the run', async () => {
+      const paid = buildOrder({ paymentDetails: { paymentIntentId: 'pi_test_1' } });
+      const missing = buildOrder({ orderStatus: 'confirmed', paymentDetails: { paymentIntentId: 'pi_missing' } });
+      const broken = buildOrder({ paymentMethod: 'razorpay', paymentDetails: { transactionId: 'pay_broken' } });
+
+      let query = null;
+      mock.method(Order, 'find', (filter) => {
+        query = filter;
+        return { sort: () => ({ limit: async () => [paid, missing, broken] }) };
+      });
+      let recorded = null;
+      mock.method(ReconciliationReport, 'recordRun', async (date, run) => {
+        recorded = { date, ...run };
+        return recorded;
+      });
+
+      const stripe = stubStripe([stripeIntent(paid)]);
+      stripe.paymentIntents.retrieve = async (id) => {
+        if (id === 'pi_test_1') return stripeIntent(paid);
+        return { id, status: 'canceled', metadata: {} };
+      };
+      const razorpay = {
+        payments: {
+          fetch: async () => {
+            throw new Error('Razorpay is unreachable');
+          }
+        }
+      };
+
+      const report = await runPaymentReconciliation({ clients: { stripe, razorpay }, now });
+
+      assert.equal(query.paymentMethod.$ne, 'cod');
+      assert.equal(report.date, '20260118');
+      assert.equal(report.checked, 3);
+      assert.equal(report.fixed, 1);
+      assert.equal(report.lookupErrors, 1);
+      assert.deepEqual(report.discrepancies.map(d => d.type), ['paid_but_pending', 'failed_but_confirmed']);
+      assert.equal(paid.paymentStatus, 'completed');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { v2: cloudinary } = require('cloudinary');
+const { makeMultipleUploader, deleteUploadedFiles } = require('../middleware/upload');
+
+process.env.CLOUDINARY_CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME || 'test';
+process.env.CLOUDINARY_API_KEY = process.env.CLOUDINARY_API_KEY || 'test';
+process.env.CLOUDINARY_API_SECRET = process.env.CLOUDINARY_API_SECRET || 'test';
+
+// Stand-in for Cloudinary's upload stream: the upload is named as asked, or
+// after a random ID as Cloudinary does
+const stubUploads = () => {
+  const uploads = [];
+  mock.method(cloudinary.uploader, 'upload_stream', (options, callback) => ({
+    end: () => {
+      const publicId = `${options.folder}/${options.public_id || `auto${uploads.length}`}`;
+      uploads.push(publicId);
+      callback(null, { public_id: publicId, secure_url: `https://res.cloudinary.com/test/${publicId}.jpg` });
+    }
+  }));
+  return uploads;
+};
+
+const photo = (originalname) => ({ originalname, buffer: Buffer.from('photo') });
+
+// Run the Cloudinary step of an uploader on an already parsed request
+const runUpload = (uploader, req) => new Promise((resolve, reject) => {
+  const res = { status: () => ({ json: body => reject(new Error(body.message)) }) };
+  uploader[1](req, res, resolve);
+});
+
+describe('upload middleware', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('names uploads with getPublicId so photos with the same file name are kept apart', async () => {
+    const uploads = stubUploads();
+    let next = 0;
+    const uploader = makeMultipleUploader('returns', 'photos', 5, {
+      getPublicId: (req) => `${req.order._id}-${++next}`
+    });
+    const req = { order: { _id: 'order1' }, files: [photo('IMG_0001.jpg'), photo('IMG_0001.jpg')] };
+
+    await runUpload(uploader, req);
+
+    assert.deepEqual(uploads.sort(), ['vibe-bites/returns/order1-1', 'vibe-bites/returns/order1-2']);
+    assert.notEqual(req.files[0].publicId, req.files[1].publicId);
+  });
+
+  it('names uploads after the file otherwise', async () => {
+    const uploads = stubUploads();
+    const req = { files: [photo('kaju-katli.jpg')] };
+
+    await runUpload(makeMultipleUploader('products'), req);
+
+    assert.deepEqual(uploads, ['vibe-bites/products/kaju-katli']);
+  });
+
+  it('deletes only the request\'s own uploads', async () => {
+    const destroyed = [];
+    mock.method(cloudinary.uploader, 'destroy', async (publicId) => {
+      destroyed.push(publicId);
+    });
+
+    await deleteUploadedFiles({ files: [{ publicId: 'vibe-bites/returns/order1-1' }, { originalname: 'not-uploaded.jpg' }] });
+
+    assert.deepEqual(destroyed, ['vibe-bites/returns/order1-1']);
+  });
+});
@@ -0,0 +1,60 @@
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const { runInTransaction } = require('./transaction');
+const { refundApprovedRequest } = require('./refunds');
+
+// Give back the coupon use of an order that was cancelled in full
+const releaseOrderCoupon = async (order, { session = null, onRollback } = {}) => {
+  if (!order.appliedCoupon || !order.appliedCoupon.code) return;
+
+  const coupon = await Coupon.findOne({ code: order.appliedCoupon.code }).session(session);
+  if (coupon) {
+    await coupon.releaseRedemption(order._id, { session, onRollback });
+  }
+};
+
+// Cancel lines of an order straight away, with no approval step: the lines
+// come off the order and their stock goes back, and cancelling everything
+// left also releases the coupon use. These writes are one unit; the refund
+// is issued once they are saved.
+// items is [{ itemId, quantity }], empty for everything left. status is the
+// statusHistory entry ({ actor, changedBy, note }).
+// Throws with statusCode 400, before anything is written, when the lines
+// can't be cancelled. Resolves to { lines, refund }.
+const cancelOrderLines = async (order, { items = [], reason, description, status }) => {
+  const lines = order.buildRequestLines('cancel', items);
+  order.applyRequestLines('cancel', lines.items, lines.refundAmount, status);
+
+  const now = new Date();
+  order.cancelRequest = {
+    requestedAt: now,
+    reason,
+    description,
+    items: lines.items,
+    refundAmount: lines.refundAmount,
+    status: 'approved',
+    processedAt: now,
+    processedBy: status.changedBy
+  };
+
+  // Stock goes back first so a failure part way is undone before the order is saved
+  await runInTransaction(async (session, onRollback) => {
+    await Product.releaseStock(lines.items, { session, onRollback });
+    if (order.orderStatus === 'cancelled') {
+      await releaseOrderCoupon(order, { session, onRollback });
+    }
+    await order.save({ session });
+  });
+
+  const refund = await refundApprovedRequest(order, lines.refundAmount, {
+    source: 'cancellation',
+    reason,
+    initiatedBy: status.changedBy
+  });
+  return { lines, refund };
+};
+
+module.exports = {
+  releaseOrderCoupon,
+  cancelOrderLines
+};
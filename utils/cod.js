@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const { getSetting } = require('./settings');
+
+// Check whether an order can be paid cash on delivery under the 'cod' setting.
+// orderValue is the order total before the COD fee. pincode and user are
+// optional, e.g. a guest quote has neither, and are only checked when given.
+// Resolves to { available, fee, maxOrderValue, reasons: [{ type, message }] }.
+const checkCodEligibility = async ({ orderValue, pincode = null, user = null }) => {
+  const rules = await getSetting('cod');
+  const reasons = [];
+
+  if (!rules.enabled) {
+    reasons.push({ type: 'cod_disabled', message: 'Cash on delivery is currently unavailable' });
+  }
+
+  if (rules.maxOrderValue && orderValue > rules.maxOrderValue) {
+    reasons.push({
+      type: 'order_value_exceeded',
+      message: `Cash on delivery is only available for orders up to ₹${rules.maxOrderValue}`
+    });
+  }
+
+  const pincodes = rules.serviceablePincodes || [];
+  if (pincode && pincodes.length > 0 && !pincodes.includes(String(pincode))) {
+    reasons.push({
+      type: 'pincode_not_serviceable',
+      message: `Cash on delivery is not available for pincode ${pincode}`
+    });
+  }
+
+  if (user && user.codBlocked) {
+    reasons.push({
+      type: 'user_blocked',
+      message: 'Cash on delivery is not available for your account after repeated refused deliveries'
+    });
+  }
+
+  return {
+    available: reasons.length === 0,
+    fee: rules.fee || 0,
+    maxOrderValue: rules.maxOrderValue,
+    reasons
+  };
+};
+
+// Count a refused COD delivery against a customer. Reaching the 'cod' setting's maxRefusals
+// blocks COD for them until an admin lifts it. Resolves to the updated user.
+const recordCodRefusal = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { codRefusals: 1 } }, { new: true });
+  if (!user) return null;
+
+  const { maxRefusals } = await getSetting('cod');
+  if (!user.codBlocked && maxRefusals > 0 && user.codRefusals >= maxRefusals) {
+    // Only the first refusal over the limit blocks, so codBlockedAt isn't moved
+    await User.updateOne(
+      { _id: user._id, codBlocked: { $ne: true } },
+      { $set: { codBlocked: true, codBlockedAt: new Date() } }
+    );
+    return User.findById(user._id);
+  }
+
+  return user;
+};
+
+module.exports = {
+  checkCodEligibility,
+  recordCodRefusal
+};
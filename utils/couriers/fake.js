@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const DESCRIPTIONS = {
+  manifested: 'Shipment created, awaiting pickup',
+  picked_up: 'Picked up from the seller',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  delivery_failed: 'Delivery attempt failed',
+  rto: 'Returning to the seller',
+  exception: 'Shipment delayed'
+};
+
+const renderLabel = (shipment) => new Promise((resolve, reject) => {
+  // 4 x 6 inch thermal label
+  const doc = new PDFDocument({ size: [288, 432], margin: 18 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { address } = shipment;
+  doc.font('Helvetica-Bold').fontSize(16).text(shipment.carrier);
+  doc.font('Helvetica').fontSize(9).text('TEST LABEL - NOT A REAL SHIPMENT');
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(14).text(`AWB ${shipment.awb}`);
+  doc.font('Helvetica').fontSize(10).text(`Order ${shipment.orderNumber}`);
+  doc.text(`Weight ${shipment.weight} g`);
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('Deliver to');
+  doc.font('Helvetica').text([
+    `${address.firstName} ${address.lastName}`,
+    address.address,
+    `${address.city}, ${address.state} ${address.pincode}`,
+    `Phone: ${address.phone}`
+  ].join('\n'));
+  if (shipment.codAmount > 0) {
+    doc.moveDown().font('Helvetica-Bold').fontSize(14).text(`COLLECT Rs. ${shipment.codAmount.toFixed(2)}`);
+  }
+  doc.end();
+});
+
+// Days in transit per shipping zone (config.shipping.zones)
+const TRANSIT_DAYS = {
+  metro: { min: 1, max: 2 },
+  national: { min: 3, max: 5 },
+  special: { min: 5, max: 8 }
+};
+
+// In-process stand-in for a courier, for local development and tests.
+// Shipments live in memory only, so they are lost when the process restarts.
+// Scans are added through recordScan() or the webhook, which takes unsigned
+// JSON: { awb, status, location, description, occurredAt, id }.
+const createFakeCourier = () => {
+  const shipments = new Map();
+
+  const getShipment = (awb) => {
+    const shipment = shipments.get(awb);
+    if (!shipment) throw notFound(`Fake shipment ${awb} not found`);
+    return shipment;
+  };
+
+  const recordScan = (awb, { status, location = 'Test hub', description, occurredAt = new Date(), id }) => {
+    const shipment = getShipment(awb);
+    if (!DESCRIPTIONS[status]) throw badRequest(`Unknown tracking status ${status}`);
+    const event = {
+      id: id || `fake_scan_${crypto.randomBytes(6).toString('hex')}`,
+      status,
+      description: description || DESCRIPTIONS[status],
+      location,
+      occurredAt: new Date(occurredAt)
+    };
+    shipment.events.push(event);
+    return event;
+  };
+
+  return {
+    name: 'fake',
+    carrier: 'Fake Express',
+
+    isConfigured: () => true,
+
+    async createShipment({ order, weight }) {
+      const awb = `FAKE${Date.now().toString().slice(-8)}${crypto.randomInt(1000, 10000)}`;
+      const shipment = {
+        id: `fake_ship_${crypto.randomBytes(8).toString('hex')}`,
+        awb,
+        carrier: 'Fake Express',
+        orderNumber: order.orderNumber,
+        address: order.shippingAddress,
+        weight,
+        codAmount: order.paymentMethod === 'cod' ? order.total : 0,
+        events: []
+      };
+      shipments.set(awb, shipment);
+      recordScan(awb, { status: 'manifested', location: 'Seller warehouse' });
+
+      return {
+        shipmentId: shipment.id,
+        awb,
+        carrier: shipment.carrier,
+        events: [...shipment.events]
+      };
+    },
+
+    async getLabel({ awb }) {
+      return { contentType: 'application/pdf', content: await renderLabel(getShipment(awb)) };
+    },
+
+    async getTracking({ awb }) {
+      return { awb, events: [...getShipment(awb).events] };
+    },
+
+    recordScan,
+
+    transitDays: (zoneCode) => TRANSIT_DAYS[zoneCode] || null,
+
+    async parseWebhook(rawBody) {
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+      } catch (parseError) {
+        throw badRequest('Invalid webhook payload');
+      }
+      if (!payload || !payload.awb || !payload.status) {
+        throw badRequest('Tracking events need an awb and a status');
+      }
+
+      const event = recordScan(payload.awb, payload);
+      return { awb: payload.awb, events: [event] };
+    }
+  };
+};
+
+module.exports = {
+  createFakeCourier
+};
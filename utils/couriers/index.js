@@ -0,0 +1,67 @@
+const config = require('../../config/config');
+const { createFakeCourier } = require('./fake');
+
+// Every courier implements the same interface:
+//
+//   name, carrier                    adapter name and the carrier shown to customers
+//   isConfigured()
+//   createShipment({ order, weight })
+//     -> { shipmentId, awb, carrier, estimatedDelivery, events }
+//   getLabel({ shipmentId, awb })
+//     -> { contentType, content }    content is a Buffer
+//   getTracking({ shipmentId, awb })
+//     -> { awb, events }
+//   parseWebhook(rawBody, headers)
+//     -> { awb, events }
+//   transitDays(zoneCode)            optional, the courier's SLA to a shipping zone
+//     -> { min, max } | null         in days; utils/eta.js falls back to the zone's etaDays
+//
+// Tracking events are { id, status, description, location, occurredAt }, with
+// status one of TRACKING_STATUSES. weight is in grams. Errors meant for the
+// client carry a statusCode.
+
+const TRACKING_STATUSES = [
+  'manifested', // label created, awaiting pickup
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'delivery_failed', // a delivery attempt failed; the courier tries again
+  'rto', // returning to origin
+  'exception'
+];
+
+const factories = {
+  fake: createFakeCourier
+};
+
+const couriers = {};
+
+const isEnabled = (name) => Boolean(factories[name]) && (name !== 'fake' || config.couriers.fakeEnabled);
+
+// Names of the couriers this deployment can use
+const listCouriers = () => Object.keys(factories).filter(isEnabled);
+
+// Courier by name, or null if it doesn't exist or is disabled.
+// `clients` overrides the courier API clients by name.
+const getCourier = (name, clients = {}) => {
+  if (!isEnabled(name)) return null;
+
+  if (clients[name]) {
+    return factories[name]({ client: clients[name] });
+  }
+  if (!couriers[name]) {
+    couriers[name] = factories[name]();
+  }
+  return couriers[name];
+};
+
+// Courier that ships new orders (config.couriers.default)
+const getDefaultCourier = (clients = {}) => getCourier(config.couriers.default, clients);
+
+module.exports = {
+  TRACKING_STATUSES,
+  listCouriers,
+  getCourier,
+  getDefaultCourier
+};
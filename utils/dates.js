@@ -0,0 +1,94 @@
+const config = require('../config/config');
+
+// Calendar date of a moment in the store's time zone (IST by default), so day
+// boundaries don't depend on the server's local time zone.
+// Returns zero-padded strings: { year: '2026', month: '01', day: '18' }
+const getZonedDateParts = (date = new Date(), timeZone = config.timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return { year: get('year'), month: get('month'), day: get('day') };
+};
+
+// Wall-clock time of a moment in the store's time zone: { hour, minute } (24-hour)
+const getZonedTime = (date = new Date(), timeZone = config.timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return { hour: get('hour'), minute: get('minute') };
+};
+
+// Compact day key, e.g. 20260118
+const getDateKey = (date = new Date(), timeZone = config.timeZone) => {
+  const { year, month, day } = getZonedDateParts(date, timeZone);
+  return `${year}${month}${day}`;
+};
+
+// Moment a store day (a 20260118 day key) starts, e.g. 2026-01-17T18:30:00Z in IST
+const getDayStart = (dateKey, timeZone = config.timeZone) => {
+  const key = String(dateKey);
+  const utcMidnight = Date.UTC(Number(key.slice(0, 4)), Number(key.slice(4, 6)) - 1, Number(key.slice(6, 8)));
+
+  // How far the zone's clock is ahead of UTC at that moment
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(utcMidnight));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const zoned = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return new Date(utcMidnight - (zoned - utcMidnight));
+};
+
+// Day key n days after another (n may be negative)
+const addDays = (dateKey, n) => {
+  const key = String(dateKey);
+  const date = new Date(Date.UTC(Number(key.slice(0, 4)), Number(key.slice(4, 6)) - 1, Number(key.slice(6, 8)) + n));
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+// Day of the week of a day key, 0 (Sunday) to 6 (Saturday)
+const getWeekday = (dateKey) => {
+  const key = String(dateKey);
+  return new Date(Date.UTC(Number(key.slice(0, 4)), Number(key.slice(4, 6)) - 1, Number(key.slice(6, 8)))).getUTCDay();
+};
+
+// Day key as YYYY-MM-DD
+const formatDateKey = (dateKey) => {
+  const key = String(dateKey);
+  return `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}`;
+};
+
+// Indian financial year (April to March) a moment falls in, e.g. 2026-27
+const getFinancialYear = (date = new Date(), timeZone = config.timeZone) => {
+  const { year, month } = getZonedDateParts(date, timeZone);
+  const start = Number(month) >= 4 ? Number(year) : Number(year) - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = {
+  getZonedDateParts,
+  getZonedTime,
+  getDateKey,
+  getDayStart,
+  addDays,
+  getWeekday,
+  formatDateKey,
+  getFinancialYear
+};
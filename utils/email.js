@@ -177,6 +177,10 @@ const emailTemplates = {
             <h3 style="color: #5A3B1C; margin: 0 0 10px 0;">Return Details</h3>
             <p style="color: #5A3B1C; margin: 5px 0;"><strong>Reason:</strong> ${data.reason.replace('_', ' ').toUpperCase()}</p>
             <p style="color: #5A3B1C; margin: 5px 0;"><strong>Description:</strong> ${data.description}</p>
+            ${data.photos && data.photos.length > 0 ? `
+            <p style="color: #5A3B1C; margin: 5px 0;"><strong>Photos:</strong></p>
+            ${data.photos.map((photo, index) => `<p style="color: #5A3B1C; margin: 5px 0;"><a href="${photo}" style="color: #5A3B1C;">Photo ${index + 1}</a></p>`).join('')}
+            ` : ''}
           </div>
           <p style="color: #5A3B1C; line-height: 1.6;">
             Please review this return request in the admin panel and take appropriate action.
@@ -519,7 +523,8 @@ const emailTemplates = {
 };
 
 // Send email function
-const sendEmail = async ({ to, subject, template, data }) => {
+// attachments are passed to nodemailer, e.g. [{ filename, content, contentType }]
+const sendEmail = async ({ to, subject, template, data, attachments }) => {
   try {
     const transporter = createTransporter();
     
@@ -535,7 +540,8 @@ const sendEmail = async ({ to, subject, template, data }) => {
       from: `"VIBE BITES" <${process.env.EMAIL_USER}>`,
       to,
       subject: subject || emailTemplate.subject,
-      html
+      html,
+      attachments
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -0,0 +1,83 @@
+const { getSetting } = require('./settings');
+const { getCourier, getDefaultCourier } = require('./couriers');
+const { getZonedTime, getDateKey, getDayStart, addDays, getWeekday, formatDateKey } = require('./dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isWorkingDay = (dateKey, dispatch) => !dispatch.weeklyOffDays.includes(getWeekday(dateKey)) &&
+  !dispatch.holidays.includes(formatDateKey(dateKey));
+
+// Day an order placed at placedAt leaves the warehouse: the same day if it is
+// a working day and the order beat the cutoff, else the next working day
+const getDispatchDay = (placedAt, dispatch) => {
+  let dateKey = getDateKey(placedAt);
+  const { hour, minute } = getZonedTime(placedAt);
+  const [cutoffHour, cutoffMinute] = dispatch.cutoffTime.split(':').map(Number);
+  if (hour * 60 + minute >= cutoffHour * 60 + cutoffMinute) {
+    dateKey = addDays(dateKey, 1);
+  }
+  // The setting guarantees at least one working day a week; holidays can add a year at most
+  for (let i = 0; i < 400 && !isWorkingDay(dateKey, dispatch); i++) {
+    dateKey = addDays(dateKey, 1);
+  }
+  return dateKey;
+};
+
+// Days in transit to a zone: the courier's SLA, else the zone's etaDays.
+// Returns { min, max }, or null when neither is known.
+const getTransitDays = (rate, courier = null) => {
+  const sla = courier && typeof courier.transitDays === 'function' && rate && rate.zone
+    ? courier.transitDays(rate.zone)
+    : null;
+  if (sla) return { min: sla.min, max: sla.max };
+  if (rate && rate.etaDays && rate.etaDays.max !== undefined && rate.etaDays.max !== null) {
+    return { min: rate.etaDays.min, max: rate.etaDays.max };
+  }
+  return null;
+};
+
+// Delivery window for a parcel leaving on dispatchDay, transit being calendar
+// days. Dates are noon store time on the day, so they read the same in any
+// Indian locale.
+const buildEstimate = (dispatchDay, transitDays) => {
+  const earliest = addDays(dispatchDay, transitDays.min);
+  const latest = addDays(dispatchDay, transitDays.max);
+  const atNoon = (dateKey) => new Date(getDayStart(dateKey).getTime() + DAY_MS / 2);
+  return {
+    dispatchDate: formatDateKey(dispatchDay),
+    earliest: formatDateKey(earliest),
+    latest: formatDateKey(latest),
+    transitDays,
+    from: atNoon(earliest),
+    to: atNoon(latest)
+  };
+};
+
+// Delivery window for an order placed at placedAt under a shipping rate
+// (utils/shipping.js quoteShipping), booked with the default courier.
+// Resolves to { dispatchDate, earliest, latest, transitDays, from, to }
+// (days as YYYY-MM-DD, from/to as Dates), or null when no ETA is known.
+const estimateDelivery = async (rate, { placedAt = new Date(), clients = {} } = {}) => {
+  const transitDays = getTransitDays(rate, getDefaultCourier(clients));
+  if (!transitDays) return null;
+
+  const dispatch = await getSetting('dispatch');
+  return buildEstimate(getDispatchDay(placedAt, dispatch), transitDays);
+};
+
+// Delivery window for an order handed to its courier at shippedAt.
+// Synchronous: the dispatch day is already known.
+const estimateShippedDelivery = (order, shippedAt = new Date()) => {
+  const details = order.shippingDetails || {};
+  const courier = details.courier ? getCourier(details.courier) : null;
+  const transitDays = getTransitDays(order.shippingRate, courier);
+  if (!transitDays) return null;
+  return buildEstimate(getDateKey(shippedAt), transitDays);
+};
+
+module.exports = {
+  getDispatchDay,
+  getTransitDays,
+  estimateDelivery,
+  estimateShippedDelivery
+};
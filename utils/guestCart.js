@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const config = require('../config/config');
+const { logger } = require('./logger');
+
+const cookieName = config.cart.guestCookieName;
+
+// Cookie options mirror the auth token cookie so cross-origin HTTPS works
+const cookieOptions = (req) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const isSecure = isProduction || req.secure || req.headers['x-forwarded-proto'] === 'https';
+
+  return {
+    httpOnly: true,
+    secure: isSecure,
+    sameSite: isSecure ? 'none' : 'lax',
+    path: '/',
+    signed: true
+  };
+};
+
+// Read the guest cart ID from the signed cookie (null if missing or tampered)
+const getGuestCartId = (req) => {
+  const guestId = req.signedCookies && req.signedCookies[cookieName];
+  return typeof guestId === 'string' && guestId ? guestId : null;
+};
+
+const setGuestCartCookie = (req, res, guestId) => {
+  res.cookie(cookieName, guestId, {
+    ...cookieOptions(req),
+    maxAge: config.cart.guestCartTtlDays * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearGuestCartCookie = (req, res) => {
+  res.clearCookie(cookieName, cookieOptions(req));
+};
+
+// Middleware: resolve who owns the cart for this request.
+// Uses req.user when logged in, otherwise a guest ID from (or issued into) a signed cookie.
+const resolveCartOwner = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { user: req.user._id };
+    return next();
+  }
+
+  let guestId = getGuestCartId(req);
+  if (!guestId) {
+    guestId = crypto.randomUUID();
+    setGuestCartCookie(req, res, guestId);
+  }
+
+  req.cartOwner = { guestId };
+  next();
+};
+
+// Merge the request's guest cart (if any) into the user's cart and drop the cookie.
+// Never throws: a failed merge must not block login.
+const mergeGuestCartOnLogin = async (req, res, user) => {
+  const guestId = getGuestCartId(req);
+  if (!guestId) return null;
+
+  try {
+    const cart = await Cart.mergeGuestCart(guestId, user._id);
+    clearGuestCartCookie(req, res);
+    return cart;
+  } catch (error) {
+    logger.error('Guest cart merge error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getGuestCartId,
+  setGuestCartCookie,
+  clearGuestCartCookie,
+  resolveCartOwner,
+  mergeGuestCartOnLogin
+};
@@ -0,0 +1,196 @@
+const PDFDocument = require('pdfkit');
+const config = require('../config/config');
+
+// The built-in PDF fonts have no rupee sign
+const formatAmount = (amount) => `Rs. ${(Number(amount) || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  timeZone: config.timeZone,
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const PAYMENT_METHOD_LABELS = {
+  cod: 'Cash on delivery',
+  card: 'Card',
+  upi: 'UPI',
+  netbanking: 'Net banking',
+  razorpay: 'Razorpay'
+};
+
+// HSN code for a product category (config.invoice.hsnByCategory)
+const getHsnCode = (category) => config.invoice.hsnByCategory[category] || config.invoice.defaultHsn;
+
+// Table columns: x position and width on an A4 page with 50pt margins
+const COLUMNS = [
+  { key: 'index', label: '#', x: 50, width: 20 },
+  { key: 'description', label: 'Item', x: 70, width: 140 },
+  { key: 'hsn', label: 'HSN', x: 210, width: 55 },
+  { key: 'quantity', label: 'Qty', x: 265, width: 30, align: 'right' },
+  { key: 'rate', label: 'Rate', x: 300, width: 55, align: 'right' },
+  { key: 'taxable', label: 'Taxable', x: 360, width: 60, align: 'right' },
+  { key: 'gst', label: 'GST', x: 425, width: 55, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 480, width: 65, align: 'right' }
+];
+
+const drawRow = (doc, y, values, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  let height = 0;
+  for (const column of COLUMNS) {
+    const text = String(values[column.key]);
+    doc.text(text, column.x, y, { width: column.width, align: column.align || 'left' });
+    height = Math.max(height, doc.heightOfString(text, { width: column.width }));
+  }
+  return y + height + 6;
+};
+
+const drawAddress = (doc, title, address, x, y) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(title, x, y);
+  doc.font('Helvetica').fontSize(9).text([
+    `${address.firstName} ${address.lastName}`,
+    address.address,
+    `${address.city}, ${address.state} ${address.pincode}`,
+    `Phone: ${address.phone}`
+  ].join('\n'), x, doc.y + 2, { width: 230 });
+  return doc.y;
+};
+
+// Render an order's GST invoice. The order must already have an invoice
+// number (order.ensureInvoiceNumber()). Resolves to the PDF as a Buffer.
+const renderInvoicePdf = (order) => new Promise((resolve, reject) => {
+  const { seller } = config.invoice;
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Seller
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', 50, 50, { align: 'right' });
+  doc.fontSize(14).text(seller.name, 50, 50);
+  doc.font('Helvetica').fontSize(9);
+  if (seller.address) doc.text(seller.address, { width: 250 });
+  if (seller.state) doc.text(`State: ${seller.state}`);
+  doc.text(`GSTIN: ${seller.gstin || 'Not registered'}`);
+
+  // Invoice details
+  const detailsY = doc.y + 15;
+  doc.font('Helvetica').fontSize(9).text([
+    `Invoice No: ${order.invoice.number}`,
+    `Invoice Date: ${formatDate(order.invoice.issuedAt)}`,
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+    `Payment: ${PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod}`
+  ].join('\n'), 50, detailsY);
+
+  // Customer; orders only keep a shipping address, so it is also the billing one
+  const addressY = doc.y + 15;
+  const billedEnd = drawAddress(doc, 'Bill To', order.shippingAddress, 50, addressY);
+  const shippedEnd = drawAddress(doc, 'Ship To', order.shippingAddress, 315, addressY);
+
+  // Lines
+  let y = Math.max(billedEnd, shippedEnd) + 20;
+  const header = {};
+  COLUMNS.forEach(column => { header[column.key] = column.label; });
+  y = drawRow(doc, y, header, { bold: true });
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+
+  order.items.forEach((item, index) => {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    // Orders placed before GST was recorded have no line tax
+    const tax = item.tax && item.tax.amount !== undefined ? item.tax : null;
+    y = drawRow(doc, y, {
+      index: index + 1,
+      description: `${item.name} (${item.size})`,
+      hsn: getHsnCode(item.category),
+      quantity: item.quantity,
+      rate: formatAmount(item.price),
+      taxable: tax ? formatAmount(tax.taxableValue) : '-',
+      gst: tax ? `${tax.rate}%\n${formatAmount(tax.amount)}` : '-',
+      amount: formatAmount(item.price * item.quantity)
+    });
+  });
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+
+  // Totals
+  const totals = [['Subtotal', formatAmount(order.subtotal)]];
+  if (order.discount) {
+    totals.push([`Discount${order.appliedCoupon && order.appliedCoupon.code ? ` (${order.appliedCoupon.code})` : ''}`, `- ${formatAmount(order.discount)}`]);
+  }
+  totals.push(['Shipping', order.shippingCost ? formatAmount(order.shippingCost) : 'Free']);
+  if (order.codFee) {
+    totals.push(['COD fee', formatAmount(order.codFee)]);
+  }
+
+  // GST is listed in the totals when it was charged on top of the prices,
+  // and noted under the total when the prices included it
+  const tax = order.tax && order.tax.total !== undefined ? order.tax : null;
+  const taxRows = [];
+  if (tax) {
+    taxRows.push(['Taxable value', formatAmount(tax.taxableValue)]);
+    if (tax.supplyType === 'intra') {
+      taxRows.push(['CGST', formatAmount(tax.cgst)], ['SGST', formatAmount(tax.sgst)]);
+    } else {
+      taxRows.push(['IGST', formatAmount(tax.igst)]);
+    }
+    if (!tax.inclusive) totals.push(...taxRows);
+  }
+
+  // Keep the totals block together
+  if (y > 600) {
+    doc.addPage();
+    y = 50;
+  }
+  y += 5;
+  for (const [label, value] of totals) {
+    doc.font('Helvetica').fontSize(9)
+      .text(label, 345, y, { width: 120, align: 'right' })
+      .text(value, 475, y, { width: 70, align: 'right' });
+    y += 15;
+  }
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text('Total', 345, y + 3, { width: 120, align: 'right' })
+    .text(formatAmount(order.total), 455, y + 3, { width: 90, align: 'right' });
+  y += 25;
+
+  if (tax && tax.inclusive) {
+    doc.font('Helvetica').fontSize(8).text('Prices include GST:', 345, y, { width: 200, align: 'right' });
+    y += 12;
+    for (const [label, value] of taxRows) {
+      doc.text(label, 345, y, { width: 120, align: 'right' })
+        .text(value, 475, y, { width: 70, align: 'right' });
+      y += 12;
+    }
+  }
+  if (tax && tax.charges) {
+    doc.font('Helvetica').fontSize(8)
+      .text(`Shipping and COD charges are taxed at ${tax.charges.rate}%, the rate of the principal supply.`, 50, y + 8, { width: 495 });
+    y += 12;
+  }
+
+  doc.font('Helvetica').fontSize(8).fillColor('#555555')
+    .text('This is a computer generated invoice and needs no signature.', 50, y + 20, { width: 495, align: 'center' });
+
+  doc.end();
+});
+
+// Invoice number (issuing one if needed) and PDF for an order
+const generateInvoice = async (order) => {
+  await order.ensureInvoiceNumber();
+  const pdf = await renderInvoicePdf(order);
+  return {
+    number: order.invoice.number,
+    filename: `invoice-${order.invoice.number.replace(/\//g, '-')}.pdf`,
+    pdf
+  };
+};
+
+module.exports = {
+  getHsnCode,
+  renderInvoicePdf,
+  generateInvoice
+};
@@ -0,0 +1,159 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { sendEmail } = require('./email');
+const { generateInvoice } = require('./invoice');
+const { roundCurrency } = require('./pricing');
+const { issueRefund } = require('./refunds');
+const { getDateKey } = require('./dates');
+const { logger } = require('./logger');
+
+// Payment states a gateway confirmation or failure can move an order out of
+const UNPAID_STATUSES = ['pending', 'processing', 'failed'];
+
+// Find the order a gateway payment belongs to. When userId is known the order must be theirs.
+const findPaymentOrder = async (orderId, userId = null) => {
+  if (!orderId || !/^[0-9a-fA-F]{24}$/.test(String(orderId))) return null;
+
+  const filter = { _id: orderId };
+  if (userId) filter.user = userId;
+  return Order.findOne(filter);
+};
+
+// Invoice attachment for an email, or none if it can't be generated
+const getInvoiceAttachments = async (order) => {
+  if (!order.isInvoiceable()) return [];
+  try {
+    const invoice = await generateInvoice(order);
+    return [{ filename: invoice.filename, content: invoice.pdf, contentType: 'application/pdf' }];
+  } catch (error) {
+    logger.error(`Invoice generation failed for order ${order.orderNumber}:`, error);
+    return [];
+  }
+};
+
+// Send the order confirmation email, with the invoice attached, at most once per order
+const sendOrderConfirmation = async (order) => {
+  const claim = await Order.updateOne(
+    { _id: order._id, confirmationEmailSentAt: null },
+    { $set: { confirmationEmailSentAt: new Date() } }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  try {
+    const user = await User.findById(order.user).select('email firstName');
+    const attachments = await getInvoiceAttachments(order);
+    await sendEmail({
+      to: user.email,
+      subject: `Order Confirmation - ${order.orderNumber}`,
+      template: 'orderConfirmation',
+      data: {
+        name: user.firstName,
+        orderNumber: order.orderNumber,
+        orderDate: order.createdAt.toLocaleDateString(),
+        total: order.total
+      },
+      attachments
+    });
+  } catch (error) {
+    logger.error('Order confirmation email error:', error);
+  }
+  return true;
+};
+
+// Refund a payment that arrived after the order was cancelled (its stock
+// already released) and note it in today's reconciliation report
+const refundLatePayment = async (order, { paymentStatus, paymentDetails, clients }) => {
+  const refund = await issueRefund(order, order.total, {
+    source: 'cancellation',
+    reason: 'Payment received after the order was cancelled',
+    clients
+  });
+  const refunded = Boolean(refund) && refund.status !== 'failed';
+  logger.warn(`Payment received for cancelled order ${order.orderNumber}; refund ${refund ? refund.status : 'not issued'}`);
+
+  try {
+    await ReconciliationReport.recordDiscrepancy(getDateKey(), {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      type: 'paid_after_cancel',
+      gateway: paymentDetails.provider,
+      gatewayStatus: 'paid',
+      gatewayPaymentId: paymentDetails.paymentIntentId || paymentDetails.transactionId,
+      paymentStatus,
+      orderStatus: order.orderStatus,
+      amount: order.total,
+      resolved: refunded,
+      note: refunded ? 'Payment refunded automatically' : 'Automatic refund failed; refund it manually'
+    });
+  } catch (error) {
+    logger.error(`Could not report late payment for order ${order.orderNumber}:`, error);
+  }
+  return refund;
+};
+
+// Record a captured gateway payment: mark the order paid (ending its stock hold),
+// move a pending order to confirmed and send the confirmation email. A payment
+// for an order that was already cancelled is refunded instead.
+// Safe to call from several places for the same payment; only the first call acts.
+// amountPaid (rupees) must cover the order total; a payment whose amount is
+// unknown (e.g. taken in another currency) is rejected.
+// Whether to confirm or refund is decided from the order as the claim found it
+// in the database, since the stock hold sweeper may have cancelled it since
+// `order` was loaded; the returned order is that fresh copy.
+// Resolves to { order, alreadyPaid, refund } or { order, error }; refund is set
+// (possibly null when none could be issued) only for cancelled orders.
+// `clients` overrides the gateway clients used for that refund.
+const markOrderPaid = async (order, { paymentDetails = {}, amountPaid, clients = {} } = {}) => {
+  if (typeof amountPaid !== 'number' || !Number.isFinite(amountPaid) ||
+    roundCurrency(amountPaid) < roundCurrency(order.total)) {
+    logger.error(amountPaid === undefined || amountPaid === null
+      ? `Payment for order ${order.orderNumber} has no amount in INR`
+      : `Payment of ₹${amountPaid} for order ${order.orderNumber} is less than its total of ₹${order.total}`);
+    return { order, error: 'Payment amount does not match the order total' };
+  }
+
+  // Claim the payment so concurrent confirmations (browser and webhook) don't
+  // both apply it. The claimed order is returned as it was just before the
+  // claim; once claimed, the sweeper can no longer cancel it.
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: { $in: UNPAID_STATUSES } },
+    { $set: { paymentStatus: 'processing' } },
+    { new: false }
+  );
+  if (!claimed) {
+    return { order, alreadyPaid: true };
+  }
+
+  const paymentStatus = claimed.paymentStatus;
+  if (claimed.orderStatus === 'pending') {
+    claimed.transitionTo('confirmed', { actor: 'system', note: 'Payment received' });
+  }
+
+  await claimed.updatePaymentStatus('completed', paymentDetails);
+
+  if (claimed.orderStatus === 'cancelled') {
+    const refund = await refundLatePayment(claimed, { paymentStatus, paymentDetails, clients });
+    return { order: claimed, alreadyPaid: false, refund };
+  }
+
+  await sendOrderConfirmation(claimed);
+  return { order: claimed, alreadyPaid: false };
+};
+
+// Record a failed gateway payment. The order keeps its stock hold so the
+// customer can retry until it expires. Resolves to true if the order changed.
+const markPaymentFailed = async (order, { reason } = {}) => {
+  if (order.paymentStatus !== 'pending') return false;
+
+  logger.info(`Payment failed for order ${order.orderNumber}${reason ? `: ${reason}` : ''}`);
+  await order.updatePaymentStatus('failed');
+  return true;
+};
+
+module.exports = {
+  findPaymentOrder,
+  sendOrderConfirmation,
+  markOrderPaid,
+  markPaymentFailed
+};
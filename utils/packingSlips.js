@@ -0,0 +1,157 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const config = require('../config/config');
+
+// The built-in PDF fonts have no rupee sign
+const formatAmount = (amount) => `Rs. ${(Number(amount) || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  timeZone: config.timeZone,
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Cash the courier collects for a COD order: the total less cancelled lines
+const getCollectAmount = (order) => {
+  if (order.paymentMethod !== 'cod') return 0;
+  const refunded = order.items.reduce((sum, item) => sum + (item.refundAmount || 0), 0);
+  return Math.max(0, roundCurrency(order.total - refunded));
+};
+
+// Units still to be packed, per line
+const getPackLines = (order) => order.items
+  .map(item => ({ name: item.name, size: item.size, quantity: order.getRemainingQuantity(item) }))
+  .filter(line => line.quantity > 0);
+
+// Code 128 barcode as a PNG
+const renderBarcode = (text) => bwipjs.toBuffer({
+  bcid: 'code128',
+  text,
+  scale: 3,
+  height: 12,
+  includetext: true,
+  textxalign: 'center'
+});
+
+// Table columns: x position and width on an A4 page with 50pt margins
+const COLUMNS = [
+  { key: 'index', label: '#', x: 50, width: 25 },
+  { key: 'name', label: 'Item', x: 75, width: 270 },
+  { key: 'size', label: 'Size', x: 350, width: 80 },
+  { key: 'quantity', label: 'Qty', x: 430, width: 40, align: 'right' },
+  { key: 'packed', label: 'Packed', x: 485, width: 60, align: 'center' }
+];
+
+const drawRow = (doc, y, values, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  let height = 0;
+  for (const column of COLUMNS) {
+    const text = String(values[column.key]);
+    doc.text(text, column.x, y, { width: column.width, align: column.align || 'left' });
+    height = Math.max(height, doc.heightOfString(text, { width: column.width }));
+  }
+  return y + height + 8;
+};
+
+const drawSlip = (doc, order, barcode) => {
+  const details = order.shippingDetails || {};
+  const address = order.shippingAddress;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(config.invoice.seller.name, 50, 50);
+  doc.fontSize(18).text('PACKING SLIP', 50, 70);
+  doc.image(barcode, 345, 45, { fit: [200, 60], align: 'right' });
+
+  doc.font('Helvetica').fontSize(10).text([
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+    order.paymentMethod === 'cod' ? `Cash on delivery: collect ${formatAmount(getCollectAmount(order))}` : 'Prepaid',
+    details.trackingNumber ? `Courier: ${details.carrier || details.courier} / AWB ${details.trackingNumber}` : 'Courier: not booked'
+  ].join('\n'), 50, 125);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Ship To', 345, 125);
+  doc.font('Helvetica').fontSize(10).text([
+    `${address.firstName} ${address.lastName}`,
+    address.address,
+    `${address.city}, ${address.state} ${address.pincode}`,
+    `Phone: ${address.phone}`
+  ].join('\n'), 345, 140, { width: 200 });
+
+  let y = Math.max(doc.y, 190) + 20;
+  const header = {};
+  COLUMNS.forEach(column => { header[column.key] = column.label; });
+  y = drawRow(doc, y, header, { bold: true });
+  doc.moveTo(50, y - 4).lineTo(545, y - 4).stroke();
+
+  const lines = getPackLines(order);
+  lines.forEach((line, index) => {
+    if (y > 740) {
+      doc.addPage();
+      y = 50;
+    }
+    y = drawRow(doc, y, { index: index + 1, name: line.name, size: line.size, quantity: line.quantity, packed: '[   ]' });
+  });
+  doc.moveTo(50, y - 4).lineTo(545, y - 4).stroke();
+
+  const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+  doc.font('Helvetica-Bold').fontSize(10).text(`Total units: ${units}`, 50, y + 4);
+  if (order.notes) {
+    doc.font('Helvetica').fontSize(9).text(`Notes: ${order.notes}`, 50, y + 24, { width: 495 });
+  }
+};
+
+// One packing slip per order, each starting on a new A4 page, in the order
+// given. Resolves to the PDF as a Buffer.
+const renderPackingSlips = async (orders) => {
+  const barcodes = await Promise.all(orders.map(order => renderBarcode(order.orderNumber)));
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    orders.forEach((order, index) => {
+      doc.addPage();
+      drawSlip(doc, order, barcodes[index]);
+    });
+    doc.end();
+  });
+};
+
+const MANIFEST_COLUMNS = [
+  ['AWB', order => order.shippingDetails.trackingNumber],
+  ['Order Number', order => order.orderNumber],
+  ['Consignee', order => `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`],
+  ['Phone', order => order.shippingAddress.phone],
+  ['Address', order => order.shippingAddress.address],
+  ['City', order => order.shippingAddress.city],
+  ['State', order => order.shippingAddress.state],
+  ['Pincode', order => order.shippingAddress.pincode],
+  ['Units', order => getPackLines(order).reduce((sum, line) => sum + line.quantity, 0)],
+  ['Weight (g)', order => (order.shippingRate && order.shippingRate.weight) || ''],
+  ['Payment', order => (order.paymentMethod === 'cod' ? 'COD' : 'Prepaid')],
+  ['COD Amount', order => (order.paymentMethod === 'cod' ? getCollectAmount(order).toFixed(2) : '0.00')]
+];
+
+// Quote cells that need it; a leading ' stops spreadsheets running customer text as a formula
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Courier manifest for a carrier's orders, one row per shipment
+const buildManifestCsv = (orders) => [
+  MANIFEST_COLUMNS.map(([label]) => label),
+  ...orders.map(order => MANIFEST_COLUMNS.map(([, value]) => value(order)))
+].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  getCollectAmount,
+  renderPackingSlips,
+  buildManifestCsv
+};
@@ -0,0 +1,29 @@
+const Stripe = require('stripe');
+const Razorpay = require('razorpay');
+
+let stripeClient = null;
+let razorpayClient = null;
+
+// Shared Stripe client
+const getStripe = () => {
+  if (!stripeClient) {
+    stripeClient = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+};
+
+// Shared Razorpay client, or null when its keys are not configured
+const getRazorpay = () => {
+  if (!razorpayClient && process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+    razorpayClient = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpayClient;
+};
+
+module.exports = {
+  getStripe,
+  getRazorpay
+};
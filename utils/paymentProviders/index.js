@@ -0,0 +1,73 @@
+const config = require('../../config/config');
+const { createStripeProvider } = require('./stripe');
+const { createRazorpayProvider } = require('./razorpay');
+const { createMockProvider } = require('./mock');
+
+// Every payment provider implements the same interface:
+//
+//   name
+//   isConfigured()
+//   createPayment({ amount, currency, orderId, userId })
+//     -> { paymentId, clientData }   clientData is what checkout needs
+//   verifyPayment(payload)           payload is whatever checkout hands back
+//     -> { verified, status, paymentId, orderId, amountPaid, paymentDetails, clientData, reason }
+//   capturePayment(paymentId, { amount })
+//     -> same shape as verifyPayment
+//   refund({ order, amount, idempotencyKey })
+//     -> { refundId, status: 'pending' | 'processed' | 'failed' }
+//        a repeated idempotencyKey returns the earlier refund instead of a new one
+//   lookupPayment(order)
+//     -> { status: 'paid' | 'failed' | 'pending' | 'not_found', paymentId, amountPaid, paymentDetails }
+//   parseWebhook(rawBody, headers)
+//     -> { id, type, sourceType, payment, refund, reason }
+//        type is 'payment.succeeded', 'payment.failed', 'refund.updated' or 'ignored'
+//
+// Amounts are in rupees; amountPaid is undefined for a payment in another
+// currency, and such payments never mark an order paid. Errors meant for the
+// client carry a statusCode.
+
+const factories = {
+  stripe: createStripeProvider,
+  razorpay: createRazorpayProvider,
+  mock: createMockProvider
+};
+
+const providers = {};
+
+const isEnabled = (name) => Boolean(factories[name]) && (name !== 'mock' || config.payments.mockEnabled);
+
+// Names of the providers this deployment can use
+const listProviders = () => Object.keys(factories).filter(isEnabled);
+
+// Provider by name, or null if it doesn't exist or is disabled.
+// `clients` overrides the gateway clients ({ stripe, razorpay }).
+const getProvider = (name, clients = {}) => {
+  if (!isEnabled(name)) return null;
+
+  if (clients[name]) {
+    return factories[name]({ client: clients[name] });
+  }
+  if (!providers[name]) {
+    providers[name] = factories[name]();
+  }
+  return providers[name];
+};
+
+// Name of the provider that holds (or should hold) an online order's payment
+const getOrderProviderName = (order) => {
+  const details = order.paymentDetails || {};
+  if (details.provider) return details.provider;
+  if (details.paymentIntentId) return 'stripe';
+  if (details.transactionId) return 'razorpay';
+  return order.paymentMethod === 'card' ? 'stripe' : 'razorpay';
+};
+
+// Provider that holds an online order's payment
+const getOrderProvider = (order, clients = {}) => getProvider(getOrderProviderName(order), clients);
+
+module.exports = {
+  listProviders,
+  getProvider,
+  getOrderProviderName,
+  getOrderProvider
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// In-process stand-in for a payment gateway, for local development and tests.
+// Payments live in memory only, so they are lost when the process restarts.
+// Checkout completes by verifying with { paymentId, outcome: 'succeeded' | 'failed' }.
+const createMockProvider = () => {
+  const payments = new Map();
+  const refunds = new Map();
+
+  const describePayment = (payment) => ({
+    verified: payment.status === 'succeeded',
+    status: payment.status === 'succeeded' ? 'paid' : payment.status === 'failed' ? 'failed' : 'pending',
+    paymentId: payment.id,
+    orderId: payment.orderId,
+    userId: payment.userId,
+    amountPaid: payment.status === 'succeeded' && String(payment.currency).toLowerCase() === 'inr' ? payment.amount : undefined,
+    paymentDetails: { provider: 'mock', transactionId: payment.id, paymentMethod: 'mock' },
+    clientData: {
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status
+    }
+  });
+
+  const getPayment = (paymentId) => {
+    const payment = payments.get(paymentId);
+    if (!payment) throw notFound(`Mock payment ${paymentId} not found`);
+    return payment;
+  };
+
+  return {
+    name: 'mock',
+
+    isConfigured: () => true,
+
+    async createPayment({ amount, currency = 'inr', orderId, userId }) {
+      const payment = {
+        id: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        currency,
+        orderId: orderId ? String(orderId) : undefined,
+        userId: String(userId),
+        status: 'created',
+        createdAt: new Date()
+      };
+      payments.set(payment.id, payment);
+
+      return {
+        paymentId: payment.id,
+        clientData: { paymentId: payment.id, amount, currency, mock: true }
+      };
+    },
+
+    async verifyPayment({ paymentId, outcome = 'succeeded' }) {
+      const payment = getPayment(paymentId);
+      if (payment.status === 'created') {
+        payment.status = outcome === 'failed' ? 'failed' : 'succeeded';
+      }
+
+      const result = describePayment(payment);
+      if (!result.verified) result.reason = 'Payment not completed';
+      return result;
+    },
+
+    async capturePayment(paymentId) {
+      const payment = getPayment(paymentId);
+      if (payment.status === 'failed') throw badRequest('Cannot capture a failed payment');
+      payment.status = 'succeeded';
+      return describePayment(payment);
+    },
+
+    // Mock refunds settle immediately; a repeated idempotency key returns the first refund
+    async refund({ order, amount, idempotencyKey }) {
+      const earlier = idempotencyKey && [...refunds.values()].find(refund => refund.idempotencyKey === idempotencyKey);
+      if (earlier) return { refundId: earlier.id, status: earlier.status };
+
+      const refund = {
+        idempotencyKey,
+        id: `mock_rfnd_${crypto.randomBytes(8).toString('hex')}`,
+        paymentId: order.paymentDetails.transactionId,
+        amount,
+        status: 'processed'
+      };
+      refunds.set(refund.id, refund);
+      return { refundId: refund.id, status: refund.status };
+    },
+
+    async lookupPayment(order) {
+      const orderId = order._id.toString();
+      const matches = [...payments.values()].filter(payment => payment.orderId === orderId);
+      if (matches.length === 0) return { status: 'not_found' };
+
+      const paid = matches.find(payment => payment.status === 'succeeded');
+      if (paid) return describePayment(paid);
+
+      const failed = matches.every(payment => payment.status === 'failed');
+      return { status: failed ? 'failed' : 'pending', paymentId: matches[0].id };
+    },
+
+    // Unsigned JSON events, already in the normalised shape:
+    // { id, type: 'payment.succeeded' | 'payment.failed', paymentId, reason }
+    // { id, type: 'refund.updated', refundId, status, failureReason }
+    async parseWebhook(rawBody) {
+      let event;
+      try {
+        event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+      } catch (parseError) {
+        throw badRequest('Invalid webhook payload');
+      }
+      if (!event || !event.id || !event.type) {
+        throw badRequest('Webhook events need an id and a type');
+      }
+
+      switch (event.type) {
+        case 'payment.succeeded':
+        case 'payment.failed': {
+          const payment = getPayment(event.paymentId);
+          if (payment.status === 'created') {
+            payment.status = event.type === 'payment.succeeded' ? 'succeeded' : 'failed';
+          }
+          return { id: event.id, type: event.type, sourceType: event.type, payment: describePayment(payment), reason: event.reason };
+        }
+        case 'refund.updated':
+          return {
+            id: event.id,
+            type: event.type,
+            sourceType: event.type,
+            refund: { refundId: event.refundId, status: event.status, failureReason: event.failureReason }
+          };
+        default:
+          return { id: event.id, type: 'ignored', sourceType: event.type };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { getRazorpay } = require('../paymentGateways');
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const mapPaymentStatus = (status) => {
+  if (status === 'captured') return 'paid';
+  if (status === 'failed') return 'failed';
+  return 'pending';
+};
+
+const mapRefundStatus = (status) => {
+  if (status === 'processed') return 'processed';
+  if (status === 'failed') return 'failed';
+  return 'pending';
+};
+
+// Compare a Razorpay HMAC-SHA256 signature in constant time
+const verifySignature = (payload, signature, secret) => {
+  if (!signature || !secret) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const describePayment = (payment, orderId) => ({
+  verified: payment.status === 'captured',
+  status: mapPaymentStatus(payment.status),
+  paymentId: payment.id,
+  orderId,
+  amountPaid: payment.currency === 'INR' ? payment.amount / 100 : undefined,
+  paymentDetails: { provider: 'razorpay', transactionId: payment.id, paymentMethod: 'razorpay' }
+});
+
+const notConfigured = () => {
+  const error = new Error('Razorpay payment service is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to environment variables.');
+  error.statusCode = 503;
+  return error;
+};
+
+// Razorpay orders and payments. Pass `client` to use a specific Razorpay client
+// instead of the shared one.
+const createRazorpayProvider = ({ client } = {}) => {
+  const razorpay = () => {
+    const instance = client || getRazorpay();
+    if (!instance) throw notConfigured();
+    return instance;
+  };
+
+  // Our order ID travels in the notes of the payment or of its Razorpay order
+  const resolveOrderId = async (payment) => {
+    let orderId = payment.notes && payment.notes.orderId;
+    if (!orderId && payment.order_id) {
+      const razorpayOrder = await razorpay().orders.fetch(payment.order_id);
+      orderId = razorpayOrder.notes && razorpayOrder.notes.orderId;
+    }
+    return orderId;
+  };
+
+  return {
+    name: 'razorpay',
+
+    isConfigured: () => Boolean(client || getRazorpay()),
+
+    async createPayment({ amount, currency = 'INR', orderId, userId }) {
+      const razorpayOrder = await razorpay().orders.create({
+        amount: toPaise(amount),
+        currency,
+        receipt: orderId ? String(orderId) : `receipt_${Date.now()}`,
+        notes: {
+          userId: String(userId),
+          orderId: orderId ? String(orderId) : 'cart-payment'
+        }
+      });
+
+      return {
+        paymentId: razorpayOrder.id,
+        clientData: {
+          orderId: razorpayOrder.id,
+          amount: razorpayOrder.amount,
+          currency: razorpayOrder.currency,
+          receipt: razorpayOrder.receipt
+        }
+      };
+    },
+
+    // Checkout hands back the Razorpay order ID, payment ID and a signature
+    // over both, made with the key secret
+    async verifyPayment({ orderId, paymentId, signature }) {
+      if (!verifySignature(`${orderId}|${paymentId}`, signature, process.env.RAZORPAY_KEY_SECRET)) {
+        return { verified: false, status: 'failed', reason: 'Payment verification failed' };
+      }
+
+      const razorpayOrder = await razorpay().orders.fetch(orderId);
+      return {
+        verified: true,
+        status: 'paid',
+        paymentId,
+        orderId: razorpayOrder.notes && razorpayOrder.notes.orderId,
+        amountPaid: razorpayOrder.currency === 'INR' ? razorpayOrder.amount / 100 : undefined,
+        paymentDetails: { provider: 'razorpay', transactionId: paymentId, paymentMethod: 'razorpay' },
+        clientData: { orderId, paymentId, signature, verified: true }
+      };
+    },
+
+    // Capture an authorized payment (accounts without auto-capture)
+    async capturePayment(paymentId, { amount, currency = 'INR' } = {}) {
+      let paise = amount ? toPaise(amount) : undefined;
+      if (!paise) {
+        paise = (await razorpay().payments.fetch(paymentId)).amount;
+      }
+      const payment = await razorpay().payments.capture(paymentId, paise, currency);
+      return describePayment(payment, await resolveOrderId(payment));
+    },
+
+    // Razorpay takes no idempotency key, so the key travels in the refund's
+    // notes and a retry returns the refund already made with it
+    async refund({ order, amount, idempotencyKey }) {
+      const paymentId = order.paymentDetails.transactionId;
+      if (idempotencyKey) {
+        const existing = await razorpay().payments.fetchMultipleRefund(paymentId, { count: 100 });
+        const earlier = (existing.items || []).find(refund =>
+          refund.notes && refund.notes.idempotencyKey === idempotencyKey && refund.status !== 'failed');
+        if (earlier) {
+          return { refundId: earlier.id, status: mapRefundStatus(earlier.status) };
+        }
+      }
+
+      const refund = await razorpay().payments.refund(paymentId, {
+        amount: toPaise(amount),
+        notes: { orderId: order._id.toString(), idempotencyKey }
+      });
+
+      return { refundId: refund.id, status: mapRefundStatus(refund.status) };
+    },
+
+    // Find the order's payment by payment ID, or through the Razorpay orders
+    // created with our order ID as receipt
+    async lookupPayment(order) {
+      let payments;
+      if (order.paymentDetails && order.paymentDetails.transactionId) {
+        payments = [await razorpay().payments.fetch(order.paymentDetails.transactionId)];
+      } else {
+        const razorpayOrders = await razorpay().orders.all({ receipt: order._id.toString() });
+        payments = [];
+        for (const razorpayOrder of razorpayOrders.items || []) {
+          const result = await razorpay().orders.fetchPayments(razorpayOrder.id);
+          payments.push(...(result.items || []));
+        }
+      }
+
+      if (payments.length === 0) return { status: 'not_found' };
+
+      const paid = payments.find(payment => payment.status === 'captured');
+      if (paid) return describePayment(paid, order._id.toString());
+
+      const failed = payments.every(payment => payment.status === 'failed');
+      return { status: failed ? 'failed' : 'pending', paymentId: payments[0].id };
+    },
+
+    // Verify the X-Razorpay-Signature header (RAZORPAY_WEBHOOK_SECRET) over the raw body
+    async parseWebhook(rawBody, headers) {
+      const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+      if (!webhookSecret) {
+        const error = new Error('Razorpay webhook is not configured. Please add RAZORPAY_WEBHOOK_SECRET to environment variables.');
+        error.statusCode = 503;
+        throw error;
+      }
+
+      if (!verifySignature(rawBody, headers['x-razorpay-signature'], webhookSecret)) {
+        const error = new Error('Invalid webhook signature');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString('utf8'));
+      } catch (parseError) {
+        const error = new Error('Invalid webhook payload');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Older deliveries lack the event ID header
+      const entity = event.payload && (event.payload.refund || event.payload.payment);
+      const id = headers['x-razorpay-event-id'] || `${event.event}:${entity && entity.entity ? entity.entity.id : event.created_at}`;
+
+      switch (event.event) {
+        case 'payment.captured':
+        case 'payment.failed': {
+          const payment = event.payload.payment.entity;
+          return {
+            id,
+            type: event.event === 'payment.captured' ? 'payment.succeeded' : 'payment.failed',
+            sourceType: event.event,
+            payment: describePayment(payment, await resolveOrderId(payment)),
+            reason: payment.error_description
+          };
+        }
+        case 'refund.processed':
+        case 'refund.failed': {
+          const refund = event.payload.refund.entity;
+          return {
+            id,
+            type: 'refund.updated',
+            sourceType: event.event,
+            refund: {
+              refundId: refund.id,
+              status: mapRefundStatus(refund.status),
+              failureReason: event.event === 'refund.failed' ? 'Refund failed at Razorpay' : undefined
+            }
+          };
+        }
+        default:
+          return { id, type: 'ignored', sourceType: event.event };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createRazorpayProvider,
+  verifySignature
+};
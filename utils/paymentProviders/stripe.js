@@ -0,0 +1,167 @@
+const { getStripe } = require('../paymentGateways');
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const mapIntentStatus = (intent) => {
+  if (intent.status === 'succeeded') return 'paid';
+  if (intent.status === 'canceled') return 'failed';
+  if (intent.status === 'requires_payment_method' && intent.last_payment_error) return 'failed';
+  return 'pending';
+};
+
+const mapRefundStatus = (status) => {
+  if (status === 'succeeded') return 'processed';
+  if (['failed', 'canceled'].includes(status)) return 'failed';
+  return 'pending';
+};
+
+// Normalised view of a payment intent; our order ID travels in metadata.orderId
+const describeIntent = (intent) => {
+  const metadata = intent.metadata || {};
+  return {
+    verified: intent.status === 'succeeded',
+    status: mapIntentStatus(intent),
+    paymentId: intent.id,
+    orderId: metadata.orderId,
+    userId: metadata.userId,
+    amountPaid: intent.currency === 'inr' ? intent.amount_received / 100 : undefined,
+    paymentDetails: { provider: 'stripe', paymentIntentId: intent.id, paymentMethod: 'card' },
+    clientData: {
+      paymentIntentId: intent.id,
+      amount: intent.amount / 100,
+      currency: intent.currency,
+      status: intent.status
+    }
+  };
+};
+
+// Stripe card payments through payment intents.
+// Pass `client` to use a specific Stripe client instead of the shared one.
+const createStripeProvider = ({ client } = {}) => {
+  const stripe = () => client || getStripe();
+
+  return {
+    name: 'stripe',
+
+    isConfigured: () => Boolean(client || process.env.STRIPE_SECRET_KEY),
+
+    async createPayment({ amount, currency = 'inr', orderId, userId }) {
+      const intent = await stripe().paymentIntents.create({
+        amount: toPaise(amount),
+        currency,
+        metadata: {
+          userId: String(userId),
+          orderId: orderId ? String(orderId) : 'cart-payment'
+        }
+      });
+
+      return {
+        paymentId: intent.id,
+        clientData: {
+          clientSecret: intent.client_secret,
+          paymentIntentId: intent.id
+        }
+      };
+    },
+
+    // The order is always the one the intent was created for; an orderId
+    // from checkout must match it
+    async verifyPayment({ paymentIntentId, orderId }) {
+      const result = describeIntent(await stripe().paymentIntents.retrieve(paymentIntentId));
+      if (orderId && String(orderId) !== result.orderId) {
+        const error = new Error('This payment does not belong to the order');
+        error.statusCode = 400;
+        throw error;
+      }
+      if (!result.verified) result.reason = 'Payment not completed';
+      return result;
+    },
+
+    async capturePayment(paymentId, { amount } = {}) {
+      const params = amount ? { amount_to_capture: toPaise(amount) } : {};
+      return describeIntent(await stripe().paymentIntents.capture(paymentId, params));
+    },
+
+    // Refund amounts are in rupees, so only INR payments can be refunded here
+    async refund({ order, amount, idempotencyKey }) {
+      const intent = await stripe().paymentIntents.retrieve(order.paymentDetails.paymentIntentId);
+      if (intent.currency !== 'inr') {
+        const error = new Error(`Payment ${intent.id} was taken in ${String(intent.currency).toUpperCase()}; refund it from the Stripe dashboard`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const refund = await stripe().refunds.create({
+        payment_intent: intent.id,
+        amount: toPaise(amount),
+        metadata: { orderId: order._id.toString() }
+      }, { idempotencyKey });
+
+      return { refundId: refund.id, status: mapRefundStatus(refund.status) };
+    },
+
+    // Find the order's payment by payment intent ID, or the intents tagged with its ID
+    async lookupPayment(order) {
+      let intents;
+      if (order.paymentDetails && order.paymentDetails.paymentIntentId) {
+        intents = [await stripe().paymentIntents.retrieve(order.paymentDetails.paymentIntentId)];
+      } else {
+        const result = await stripe().paymentIntents.search({
+          query: `metadata['orderId']:'${order._id}'`
+        });
+        intents = result.data;
+      }
+
+      if (intents.length === 0) return { status: 'not_found' };
+
+      const paid = intents.find(intent => intent.status === 'succeeded');
+      if (paid) return describeIntent(paid);
+
+      const failed = intents.every(intent => mapIntentStatus(intent) === 'failed');
+      return { status: failed ? 'failed' : 'pending', paymentId: intents[0].id };
+    },
+
+    // Verify the Stripe-Signature header (STRIPE_WEBHOOK_SECRET) over the raw body
+    async parseWebhook(rawBody, headers) {
+      let event;
+      try {
+        event = stripe().webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+      } catch (error) {
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const object = event.data.object;
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          return { id: event.id, type: 'payment.succeeded', sourceType: event.type, payment: describeIntent(object) };
+        case 'payment_intent.payment_failed':
+          return {
+            id: event.id,
+            type: 'payment.failed',
+            sourceType: event.type,
+            payment: describeIntent(object),
+            reason: object.last_payment_error && object.last_payment_error.message
+          };
+        case 'charge.refund.updated':
+        case 'refund.updated':
+          return {
+            id: event.id,
+            type: 'refund.updated',
+            sourceType: event.type,
+            refund: {
+              refundId: object.id,
+              status: mapRefundStatus(object.status),
+              failureReason: object.failure_reason
+            }
+          };
+        default:
+          return { id: event.id, type: 'ignored', sourceType: event.type };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createStripeProvider
+};
@@ -0,0 +1,179 @@
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { checkCodEligibility } = require('./cod');
+const { getUnitWeight, quoteShipping } = require('./shipping');
+const { getGstRate, calculateOrderTax } = require('./tax');
+
+// Round a rupee amount to paise
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Load a coupon by code and check it against an order.
+// Returns { coupon, discount } on success or { coupon, error } when it cannot be used.
+const evaluateCoupon = async (code, { subtotal, items = [], userId = null }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon) {
+    return { coupon: null, error: 'Invalid coupon code' };
+  }
+
+  if (!coupon.isValid()) {
+    return { coupon, error: 'Coupon has expired or is no longer available' };
+  }
+
+  // Guests are treated as first-time customers, as in /api/coupons/validate
+  const isFirstTime = userId ? (await Order.countDocuments({ user: userId })) === 0 : true;
+  if (!coupon.canBeApplied(subtotal, userId, isFirstTime)) {
+    return { coupon, error: 'Coupon cannot be applied to this order' };
+  }
+
+  return { coupon, discount: roundCurrency(coupon.calculateDiscount(subtotal, items)) };
+};
+
+// Price a stored cart from current product data.
+// Lines use Product.sizes prices; warnings flag anything the client shows stale.
+// Shipping is priced for the pincode's zone when it is given, otherwise at the
+// flat fee. cod says whether cash on delivery is offered, checking pincode and
+// the customer's COD block when they are given.
+const quoteCart = async (cart, { userId = null, user = null, pincode = null } = {}) => {
+  const items = (cart && cart.items) || [];
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = [];
+  const warnings = [];
+
+  for (const item of items) {
+    const productId = item.product.toString();
+    const product = productsById.get(productId);
+
+    if (!product || !product.isActive) {
+      warnings.push({
+        type: 'inactive_product',
+        productId,
+        size: item.size,
+        message: `${item.name} is no longer available`
+      });
+      continue;
+    }
+
+    const sizeObj = product.sizes.find(s => s.size === item.size);
+    if (!sizeObj) {
+      warnings.push({
+        type: 'unavailable_size',
+        productId,
+        size: item.size,
+        message: `${product.name} is no longer sold in size ${item.size}`
+      });
+      continue;
+    }
+
+    if (item.price !== sizeObj.price) {
+      warnings.push({
+        type: 'price_changed',
+        productId,
+        size: item.size,
+        previousPrice: item.price,
+        price: sizeObj.price,
+        message: `The price of ${product.name} (${item.size}) changed from ₹${item.price} to ₹${sizeObj.price}`
+      });
+    }
+
+    if (sizeObj.stock < item.quantity) {
+      warnings.push({
+        type: 'insufficient_stock',
+        productId,
+        size: item.size,
+        requested: item.quantity,
+        available: sizeObj.stock,
+        message: sizeObj.stock > 0
+          ? `Only ${sizeObj.stock} of ${product.name} (${item.size}) left in stock`
+          : `${product.name} (${item.size}) is out of stock`
+      });
+    }
+
+    lines.push({
+      productId,
+      name: product.name,
+      size: sizeObj.size,
+      price: sizeObj.price,
+      quantity: item.quantity,
+      lineTotal: roundCurrency(sizeObj.price * item.quantity),
+      image: product.image,
+      category: product.category,
+      gstRate: getGstRate(product),
+      weight: getUnitWeight(product, item.size) * item.quantity,
+      available: sizeObj.stock
+    });
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const weight = lines.reduce((sum, line) => sum + line.weight, 0);
+  const shipping = await quoteShipping({ subtotal, weight, pincode });
+  if (!shipping.serviceable) {
+    warnings.push({ type: 'not_serviceable', pincode, message: shipping.message });
+  }
+  const shippingCost = shipping.cost || 0;
+
+  let discount = 0;
+  let coupon = null;
+  if (cart && cart.appliedCoupon && cart.appliedCoupon.code) {
+    const result = await evaluateCoupon(cart.appliedCoupon.code, { subtotal, items: lines, userId });
+    if (result.error) {
+      warnings.push({
+        type: 'coupon_invalid',
+        code: cart.appliedCoupon.code,
+        message: result.error
+      });
+    } else {
+      discount = result.discount;
+      coupon = {
+        code: result.coupon.code,
+        type: result.coupon.type,
+        discount: result.coupon.discount,
+        discountAmount: discount
+      };
+    }
+  }
+
+  // The CGST/SGST or IGST split needs the shipping state, so the quote only has the totals
+  const taxFor = (charges) => calculateOrderTax({ lines, discount, charges, shippingState: null });
+  const tax = taxFor(shippingCost);
+  const total = roundCurrency(subtotal + shippingCost - discount + (tax.inclusive ? 0 : tax.total));
+
+  const cod = await checkCodEligibility({ orderValue: total, pincode, user });
+  const codTax = cod.fee > 0 ? taxFor(shippingCost + cod.fee) : tax;
+  const totalWithCodFee = roundCurrency(subtotal + shippingCost + cod.fee - discount + (codTax.inclusive ? 0 : codTax.total));
+
+  return {
+    lines,
+    subtotal,
+    shippingCost,
+    freeShippingThreshold: shipping.rate ? shipping.rate.freeShippingThreshold : null,
+    shipping: {
+      serviceable: shipping.serviceable,
+      zone: shipping.rate ? shipping.rate.zone : null,
+      weight,
+      etaDays: shipping.rate ? shipping.rate.etaDays : null
+    },
+    discount,
+    coupon,
+    tax: {
+      inclusive: tax.inclusive,
+      taxableValue: tax.taxableValue,
+      total: tax.total
+    },
+    total,
+    cod: {
+      ...cod,
+      totalWithFee: totalWithCodFee
+    },
+    warnings,
+    canCheckout: lines.length > 0 && !warnings.some(w => ['inactive_product', 'unavailable_size', 'insufficient_stock', 'not_serviceable'].includes(w.type))
+  };
+};
+
+module.exports = {
+  roundCurrency,
+  evaluateCoupon,
+  quoteCart
+};
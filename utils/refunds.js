@@ -0,0 +1,143 @@
+const Order = require('../models/Order');
+const { getProvider } = require('./paymentProviders');
+const { roundCurrency } = require('./pricing');
+const { logger } = require('./logger');
+
+// Only orders whose payment was captured have money to give back
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// Provider handling the order's online payment, or null for COD orders
+const getPaymentGateway = (order) => {
+  const details = order.paymentDetails || {};
+  if (details.provider) return details.provider;
+  if (details.paymentIntentId) return 'stripe';
+  if (details.transactionId && (details.paymentMethod === 'razorpay' || order.paymentMethod === 'razorpay')) return 'razorpay';
+  return null;
+};
+
+// Order total less every refund that hasn't failed
+const getRefundableAmount = (order) => {
+  const committed = (order.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, roundCurrency(order.total - committed));
+};
+
+// Approved cancellation/return refunds that haven't been sent to the gateway yet
+const getOutstandingRefundAmount = (order) => {
+  const committed = order.total - getRefundableAmount(order);
+  return Math.max(0, roundCurrency((order.refundTotal || 0) - committed));
+};
+
+// Derive refundedAmount and paymentStatus from the processed refunds
+const syncRefundState = (order) => {
+  const refunded = roundCurrency((order.refunds || [])
+    .filter(refund => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0));
+
+  order.refundedAmount = refunded;
+  if (refunded > 0) {
+    order.paymentStatus = refunded >= order.total ? 'refunded' : 'partially_refunded';
+  } else if (['partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    order.paymentStatus = 'completed';
+  }
+};
+
+// Refund up to `amount` of the order's payment through the gateway that took it.
+// The amount is capped at what is still refundable. Gateway errors are recorded
+// on the refund as failed rather than thrown. Resolves to the stored refund, or
+// null when there is nothing to refund (COD, unpaid, or already fully refunded).
+// `clients` overrides the gateway clients ({ stripe, razorpay }).
+const issueRefund = async (order, amount, { source = 'manual', reason, initiatedBy, clients = {} } = {}) => {
+  const gateway = getPaymentGateway(order);
+  if (!gateway || !REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return null;
+
+  const value = roundCurrency(Math.min(amount, getRefundableAmount(order)));
+  if (value <= 0) return null;
+
+  const refund = { gateway, amount: value, source, reason, initiatedBy, status: 'pending' };
+
+  try {
+    const provider = getProvider(gateway, clients);
+    if (!provider) {
+      throw new Error(`Payment provider ${gateway} is not available`);
+    }
+    // Refunds recorded as failed (e.g. after a timeout) don't count, so retrying
+    // the same amount reuses the key and can't refund twice
+    const attempt = order.refunds.filter(r => r.status !== 'failed').length;
+    const result = await provider.refund({
+      order,
+      amount: value,
+      idempotencyKey: `refund-${order._id}-${attempt}-${Math.round(value * 100)}`
+    });
+    refund.refundId = result.refundId;
+    refund.status = result.status;
+  } catch (error) {
+    logger.error(`Refund of ₹${value} for order ${order.orderNumber} failed:`, error);
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+  }
+
+  if (refund.status === 'processed') {
+    refund.processedAt = new Date();
+  }
+
+  order.refunds.push(refund);
+  syncRefundState(order);
+  await order.save();
+
+  logger.info(`Refund of ₹${value} for order ${order.orderNumber} via ${gateway}: ${refund.status}`);
+  return order.refunds[order.refunds.length - 1];
+};
+
+// Send an approved cancellation/return refund to the payment gateway.
+// Failures are logged and recorded on the order; the approval still stands.
+const refundApprovedRequest = async (order, amount, options) => {
+  try {
+    return await issueRefund(order, amount, options);
+  } catch (error) {
+    logger.error(`Refund error for order ${order.orderNumber}:`, error);
+    return null;
+  }
+};
+
+// Apply a refund status reported by a gateway webhook. Replayed events are no-ops.
+// Resolves to the order, or null if no order has this refund.
+const applyRefundUpdate = async ({ gateway, refundId, status, failureReason }) => {
+  if (!refundId) return null;
+
+  const order = await Order.findOne({ refunds: { $elemMatch: { gateway, refundId } } });
+  if (!order) {
+    logger.warn(`No order found for ${gateway} refund ${refundId}`);
+    return null;
+  }
+
+  const refund = order.refunds.find(r => r.gateway === gateway && r.refundId === refundId);
+  // Ignore replays and late "pending" events for refunds that already settled
+  if (refund.status === status || (status === 'pending' && refund.status !== 'pending')) {
+    return order;
+  }
+
+  refund.status = status;
+  if (status === 'processed') {
+    refund.processedAt = new Date();
+  }
+  if (status === 'failed' && failureReason) {
+    refund.failureReason = failureReason;
+  }
+
+  syncRefundState(order);
+  await order.save();
+
+  logger.info(`${gateway} refund ${refundId} for order ${order.orderNumber} is now ${status}`);
+  return order;
+};
+
+module.exports = {
+  getPaymentGateway,
+  getRefundableAmount,
+  getOutstandingRefundAmount,
+  issueRefund,
+  refundApprovedRequest,
+  applyRefundUpdate
+};
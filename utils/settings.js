@@ -0,0 +1,274 @@
+const Setting = require('../models/Setting');
+const config = require('../config/config');
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+const DEFAULT_BANNERS = [
+  { id: 1, image: '/images/hero-snack-1.jpg', title: 'Bite into Happiness', subtitle: 'Crunchy, healthy, and 100% natural snacks', button: 'Shop Now', link: '/products' },
+  { id: 2, image: '/images/hero-snack-2.jpg', title: 'Taste the Vibe', subtitle: 'Handcrafted snacks that love you back', button: 'Explore Flavors', link: '/products' },
+  { id: 3, image: '/images/hero-snack-3.jpg', title: 'Free Shipping on Orders ₹500+', subtitle: 'Pan-India delivery in 3–5 days', button: 'Start Shopping', link: '/products' }
+];
+
+// Check and normalise shipping zones (see config.shipping.zones)
+const validateZones = (zones) => {
+  if (!Array.isArray(zones)) throw new Error('Shipping zones must be an array');
+  const codes = new Set();
+
+  return zones.map((zone, i) => {
+    const label = `Shipping zone ${i + 1}`;
+    if (!zone || typeof zone.code !== 'string' || !/^[a-z0-9_-]+$/.test(zone.code)) {
+      throw new Error(`${label} needs a code of lowercase letters, digits, - or _`);
+    }
+    if (codes.has(zone.code)) throw new Error(`Shipping zone code ${zone.code} is used twice`);
+    codes.add(zone.code);
+
+    const pincodePrefixes = zone.pincodePrefixes || [];
+    const states = zone.states || [];
+    if (!Array.isArray(pincodePrefixes) || !pincodePrefixes.every(prefix => /^[0-9]{1,6}$/.test(String(prefix)))) {
+      throw new Error(`${label} pincode prefixes must be 1 to 6 digits`);
+    }
+    if (!Array.isArray(states) || !states.every(state => typeof state === 'string' && state.trim())) {
+      throw new Error(`${label} states must be a list of state names`);
+    }
+    if (pincodePrefixes.length === 0 && states.length === 0) {
+      throw new Error(`${label} must list pincode prefixes or states`);
+    }
+
+    if (!Array.isArray(zone.slabs) || zone.slabs.length === 0) {
+      throw new Error(`${label} needs at least one weight slab`);
+    }
+    zone.slabs.forEach((slab, j) => {
+      if (!slab || !isAmount(slab.maxWeight) || !isAmount(slab.rate) ||
+        (j > 0 && slab.maxWeight <= zone.slabs[j - 1].maxWeight)) {
+        throw new Error(`${label} slabs need a rate and increasing maxWeight in grams`);
+      }
+    });
+
+    const extraPer500g = zone.extraPer500g === undefined ? 0 : zone.extraPer500g;
+    if (!isAmount(extraPer500g)) throw new Error(`${label} has an invalid extraPer500g`);
+    const freeShippingThreshold = zone.freeShippingThreshold === undefined ? null : zone.freeShippingThreshold;
+    if (freeShippingThreshold !== null && !isAmount(freeShippingThreshold)) {
+      throw new Error(`${label} has an invalid free shipping threshold`);
+    }
+    const etaDays = zone.etaDays || {};
+    if (!isWholeNumber(etaDays.min) || !isWholeNumber(etaDays.max) || etaDays.max < etaDays.min) {
+      throw new Error(`${label} needs etaDays with min and max days`);
+    }
+
+    return {
+      code: zone.code,
+      name: typeof zone.name === 'string' && zone.name.trim() ? zone.name.trim() : zone.code,
+      pincodePrefixes: [...new Set(pincodePrefixes.map(String))],
+      states: states.map(state => state.trim()),
+      slabs: zone.slabs.map(slab => ({ maxWeight: slab.maxWeight, rate: slab.rate })),
+      extraPer500g,
+      freeShippingThreshold,
+      etaDays: { min: etaDays.min, max: etaDays.max }
+    };
+  });
+};
+
+// Settings admins can change at runtime. Each has a default (used until it is
+// first changed) and validate(value), which returns the value to store or
+// throws with a message for the admin.
+const SETTINGS = {
+  shipping: {
+    description: 'Shipping zones with weight slabs, and the flat fee and free shipping threshold (INR) used until the pincode is known',
+    default: () => ({
+      shippingFee: config.shippingFee,
+      freeShippingThreshold: config.freeShippingThreshold,
+      zones: structuredClone(config.shipping.zones)
+    }),
+    validate: ({ shippingFee, freeShippingThreshold, zones }) => {
+      if (!isAmount(shippingFee)) throw new Error('Invalid shipping fee');
+      if (!isAmount(freeShippingThreshold)) throw new Error('Invalid free shipping threshold');
+      return { shippingFee, freeShippingThreshold, zones: validateZones(zones) };
+    }
+  },
+  dispatch: {
+    description: 'Warehouse dispatch cutoff time, weekly off days and holidays, for delivery estimates',
+    default: () => structuredClone(config.dispatch),
+    validate: ({ cutoffTime, weeklyOffDays, holidays }) => {
+      if (typeof cutoffTime !== 'string' || !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(cutoffTime)) {
+        throw new Error('cutoffTime must be HH:MM (24-hour)');
+      }
+      if (!Array.isArray(weeklyOffDays) || !weeklyOffDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        throw new Error('weeklyOffDays must be days of the week from 0 (Sunday) to 6 (Saturday)');
+      }
+      if (weeklyOffDays.length >= 7) throw new Error('The warehouse must dispatch on at least one day a week');
+      if (!Array.isArray(holidays) || !holidays.every(day => typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day))) {
+        throw new Error('holidays must be a list of YYYY-MM-DD dates');
+      }
+      return {
+        cutoffTime,
+        weeklyOffDays: [...new Set(weeklyOffDays)].sort(),
+        holidays: [...new Set(holidays)].sort()
+      };
+    }
+  },
+  cod: {
+    description: 'Cash on delivery rules',
+    default: () => ({ ...config.cod, serviceablePincodes: [...config.cod.serviceablePincodes] }),
+    validate: ({ enabled, maxOrderValue, serviceablePincodes, maxRefusals, fee }) => {
+      if (typeof enabled !== 'boolean') throw new Error('enabled must be true or false');
+      if (!isAmount(maxOrderValue)) throw new Error('Invalid maximum order value');
+      if (!Array.isArray(serviceablePincodes) ||
+        !serviceablePincodes.every(pincode => /^[0-9]{6}$/.test(String(pincode)))) {
+        throw new Error('Serviceable pincodes must be a list of 6-digit pincodes');
+      }
+      if (!isWholeNumber(maxRefusals)) throw new Error('Invalid maximum refusals');
+      if (!isAmount(fee)) throw new Error('Invalid COD fee');
+      return {
+        enabled,
+        maxOrderValue,
+        serviceablePincodes: [...new Set(serviceablePincodes.map(String))],
+        maxRefusals,
+        fee
+      };
+    }
+  },
+  banners: {
+    description: 'Homepage hero banners',
+    default: () => DEFAULT_BANNERS.map(banner => ({ ...banner })),
+    validate: (banners) => {
+      if (!Array.isArray(banners)) throw new Error('Banners must be an array');
+      banners.forEach((banner, i) => {
+        if (!banner || !banner.image || !banner.title || !banner.subtitle || !banner.button || !banner.link) {
+          throw new Error(`Banner ${i + 1} is missing required fields (image, title, subtitle, button, link)`);
+        }
+      });
+      return banners.map((banner, index) => ({
+        id: index + 1,
+        image: banner.image,
+        mobileImage: banner.mobileImage || banner.image, // Fallback to desktop image if mobile not provided
+        title: banner.title,
+        subtitle: banner.subtitle,
+        button: banner.button,
+        link: banner.link
+      }));
+    }
+  }
+};
+
+// key -> { value, version, updatedAt, expiresAt }. Changes made through this
+// process invalidate their key at once; other instances see them once their
+// entry expires (config.settings.cacheSeconds).
+const cache = new Map();
+
+const getDefinition = (key) => {
+  const definition = SETTINGS[key];
+  if (!definition) {
+    const error = new Error(`Unknown setting: ${key}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return definition;
+};
+
+// Stored value with defaults for fields added since it was saved
+const withDefaults = (definition, value) => {
+  const defaults = definition.default();
+  if (value === undefined || value === null) return defaults;
+  return Array.isArray(defaults) ? value : { ...defaults, ...value };
+};
+
+const loadSetting = async (key) => {
+  const definition = getDefinition(key);
+  const setting = await Setting.findById(key).select('value version updatedAt').lean();
+  const entry = {
+    value: withDefaults(definition, setting && setting.value),
+    version: setting ? setting.version : 0,
+    updatedAt: setting ? setting.updatedAt : null,
+    expiresAt: Date.now() + config.settings.cacheSeconds * 1000
+  };
+  cache.set(key, entry);
+  return entry;
+};
+
+const getEntry = async (key) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+  return loadSetting(key);
+};
+
+// Current value of a setting. Callers get their own copy to change freely.
+const getSetting = async (key) => structuredClone((await getEntry(key)).value);
+
+// Forget cached values so the next read goes to the database
+const invalidateSettings = (key = null) => {
+  if (key) {
+    cache.delete(key);
+  } else {
+    cache.clear();
+  }
+};
+
+// Change a setting. next is the new value, or a function from the current
+// value to the new one (retried if another admin changes it meanwhile).
+// Throws with statusCode 400 when the value is invalid.
+// Resolves to { key, value, version, updatedAt }.
+const updateSetting = async (key, next, { changedBy = null } = {}) => {
+  const definition = getDefinition(key);
+
+  for (let attempt = 1; ; attempt++) {
+    const current = await loadSetting(key);
+
+    let value;
+    try {
+      value = definition.validate(typeof next === 'function' ? next(structuredClone(current.value)) : next);
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const setting = await Setting.replaceValue(key, {
+      value,
+      previousValue: current.value,
+      expectedVersion: current.version,
+      changedBy,
+      historyLimit: config.settings.historyLimit
+    });
+    invalidateSettings(key);
+
+    if (setting) {
+      return { key, value: setting.value, version: setting.version, updatedAt: setting.updatedAt };
+    }
+    if (attempt >= 3) {
+      const error = new Error('The setting was changed by someone else at the same time, please try again');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+};
+
+// Every setting with its current value and version
+const listSettings = async () => {
+  const keys = Object.keys(SETTINGS);
+  const entries = await Promise.all(keys.map(getEntry));
+  return keys.map((key, index) => ({
+    key,
+    description: SETTINGS[key].description,
+    value: structuredClone(entries[index].value),
+    version: entries[index].version,
+    updatedAt: entries[index].updatedAt
+  }));
+};
+
+// A setting's recorded changes, newest first, with who made them
+const getSettingHistory = async (key) => {
+  getDefinition(key);
+  const setting = await Setting.findById(key)
+    .select('history')
+    .populate('history.changedBy', 'firstName lastName email')
+    .lean();
+  return setting ? setting.history.reverse() : [];
+};
+
+module.exports = {
+  getSetting,
+  updateSetting,
+  listSettings,
+  getSettingHistory,
+  invalidateSettings
+};
@@ -0,0 +1,180 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const config = require('../config/config');
+const { getCourier, getDefaultCourier } = require('./couriers');
+const { sendEmail } = require('./email');
+const { logger } = require('./logger');
+
+const courierUnavailable = (name) => {
+  const error = new Error(name ? `Courier ${name} is not available` : 'No courier is configured');
+  error.statusCode = 503;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Parcel weight in grams: the weight the order was priced at, else a default per unit
+const getOrderWeight = (order) => {
+  if (order.shippingRate && order.shippingRate.weight > 0) return order.shippingRate.weight;
+  const units = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  return units * config.shipping.defaultItemWeight;
+};
+
+// "20 Oct - 22 Oct 2026", or a single day, in store time
+const formatDeliveryWindow = ({ estimatedDeliveryFrom, estimatedDelivery }) => {
+  if (!estimatedDelivery) return null;
+  const format = (date, options) => date.toLocaleDateString('en-IN', { timeZone: config.timeZone, ...options });
+  const latest = format(estimatedDelivery, { day: 'numeric', month: 'short', year: 'numeric' });
+  if (!estimatedDeliveryFrom || format(estimatedDeliveryFrom, {}) === format(estimatedDelivery, {})) return latest;
+  return `${format(estimatedDeliveryFrom, { day: 'numeric', month: 'short' })} - ${latest}`;
+};
+
+// Tell the customer their order is on its way
+const sendShippedEmail = async (order) => {
+  try {
+    const user = order.user && order.user.email
+      ? order.user
+      : await User.findById(order.user).select('email firstName');
+    const details = order.shippingDetails;
+    await sendEmail({
+      to: user.email,
+      subject: `Your order has been shipped - ${order.orderNumber}`,
+      template: 'orderShipped',
+      data: {
+        name: order.shippingAddress.firstName,
+        orderNumber: order.orderNumber,
+        trackingNumber: details.trackingNumber || 'N/A',
+        carrier: details.carrier || 'Standard Shipping',
+        estimatedDelivery: formatDeliveryWindow(details) || '3-5 business days'
+      }
+    });
+  } catch (error) {
+    logger.error('Order shipped email error:', error);
+  }
+};
+
+// Record scans on an order and save it, emailing the customer when the
+// scans ship it. Resolves to { added, shipped, delivered }.
+const recordTracking = async (order, events) => {
+  const result = order.applyTrackingEvents(events);
+  order.shippingDetails.lastTrackedAt = new Date();
+  await order.save();
+
+  if (result.shipped) {
+    await sendShippedEmail(order);
+  }
+  return result;
+};
+
+// Book the order with the default courier: creates the shipment and its
+// label and stores the AWB. An order is only booked once; concurrent calls
+// after the first resolve to { created: false }.
+// Throws with statusCode 503 when no courier is available, unless `required`
+// is false: then it resolves to { created: false, skipped: true } so the
+// order can be shipped by hand (recordManualShipment).
+const createShipment = async (order, { clients = {}, required = true } = {}) => {
+  const courier = getDefaultCourier(clients);
+  if (!courier) {
+    if (required) throw courierUnavailable(null);
+    return { created: false, skipped: true };
+  }
+
+  const now = new Date();
+  const claim = await Order.updateOne(
+    { _id: order._id, 'shippingDetails.trackingNumber': null, 'shippingDetails.shipmentRequestedAt': null },
+    { $set: { 'shippingDetails.shipmentRequestedAt': now } }
+  );
+  if (claim.modifiedCount === 0) return { created: false };
+
+  let shipment;
+  try {
+    shipment = await courier.createShipment({ order, weight: getOrderWeight(order) });
+  } catch (error) {
+    // Let the next attempt claim it again
+    await Order.updateOne({ _id: order._id }, { $unset: { 'shippingDetails.shipmentRequestedAt': 1 } });
+    throw error;
+  }
+
+  const details = order.shippingDetails;
+  details.courier = courier.name;
+  details.carrier = shipment.carrier || courier.carrier;
+  details.shipmentId = shipment.shipmentId;
+  details.trackingNumber = shipment.awb;
+  details.shipmentRequestedAt = now;
+  // The courier's own promise replaces ours; otherwise the estimate made at
+  // placement stands until the order ships
+  if (shipment.estimatedDelivery) {
+    details.estimatedDeliveryFrom = undefined;
+    details.estimatedDelivery = shipment.estimatedDelivery;
+  }
+
+  await recordTracking(order, shipment.events || []);
+  logger.info(`Shipment ${shipment.awb} created with ${courier.name} for order ${order.orderNumber}`);
+  return { created: true, shipment };
+};
+
+// Store an AWB booked outside any courier integration (does not save).
+// An order booked through a courier keeps that courier's AWB.
+// Throws with statusCode 400 when the AWB can't be recorded.
+const recordManualShipment = (order, { trackingNumber, carrier }) => {
+  const details = order.shippingDetails;
+  if (details.courier && details.trackingNumber !== trackingNumber) {
+    throw badRequest(`The order is already booked with ${details.carrier || details.courier} (AWB ${details.trackingNumber})`);
+  }
+  details.trackingNumber = trackingNumber;
+  if (carrier && !details.courier) details.carrier = carrier;
+};
+
+// Courier that holds an order's shipment
+const getShipmentCourier = (order, clients = {}) => {
+  const name = order.shippingDetails && order.shippingDetails.courier;
+  if (!name) throw badRequest('The shipment was entered by hand, so no courier holds it');
+  const courier = getCourier(name, clients);
+  if (!courier) throw courierUnavailable(name);
+  return courier;
+};
+
+// The order's shipping label from its courier: { contentType, content }
+const getShipmentLabel = (order, { clients = {} } = {}) => {
+  const { shipmentId, trackingNumber } = order.shippingDetails;
+  return getShipmentCourier(order, clients).getLabel({ shipmentId, awb: trackingNumber });
+};
+
+// Ask the courier for the order's latest scans and record them
+const syncTracking = async (order, { clients = {} } = {}) => {
+  const { shipmentId, trackingNumber } = order.shippingDetails;
+  const tracking = await getShipmentCourier(order, clients).getTracking({ shipmentId, awb: trackingNumber });
+  return recordTracking(order, tracking.events || []);
+};
+
+// Record scans a courier pushed to its webhook. Resolves to the tracking
+// result, or null when the AWB belongs to no order of ours.
+const receiveTrackingWebhook = async (courierName, rawBody, headers, { clients = {} } = {}) => {
+  const courier = getCourier(courierName, clients);
+  if (!courier) {
+    const error = new Error('Courier not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const { awb, events } = await courier.parseWebhook(rawBody, headers);
+  const order = await Order.findOne({ 'shippingDetails.courier': courierName, 'shippingDetails.trackingNumber': awb });
+  if (!order) {
+    logger.warn(`Tracking update for unknown ${courierName} shipment ${awb}`);
+    return null;
+  }
+  return recordTracking(order, events);
+};
+
+module.exports = {
+  sendShippedEmail,
+  createShipment,
+  recordManualShipment,
+  getShipmentLabel,
+  syncTracking,
+  receiveTrackingWebhook
+};
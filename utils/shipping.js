@@ -0,0 +1,109 @@
+const config = require('../config/config');
+const { getSetting } = require('./settings');
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Shipping weight of one unit in grams: the product's weight, else the
+// weight in its size name ("100g", "1kg"), else shipping.defaultItemWeight
+const getUnitWeight = (product, size) => {
+  if (product && product.weight > 0) return product.weight;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(g|gm|gms|grams?|kg|kgs)\s*$/i.exec(size || '');
+  if (match) {
+    const amount = parseFloat(match[1]);
+    return /^kg/i.test(match[2]) ? amount * 1000 : amount;
+  }
+  return config.shipping.defaultItemWeight;
+};
+
+// Zone for a destination: the longest matching pincode prefix wins, then a
+// zone listing the state. Returns null when no zone covers it.
+const findZone = (zones, { pincode = null, state = null } = {}) => {
+  let best = null;
+  let bestLength = 0;
+  const code = String(pincode || '');
+  for (const zone of zones) {
+    for (const prefix of zone.pincodePrefixes || []) {
+      if (code && code.startsWith(prefix) && prefix.length > bestLength) {
+        best = zone;
+        bestLength = prefix.length;
+      }
+    }
+  }
+  if (best) return best;
+
+  const wanted = normaliseState(state);
+  if (!wanted) return null;
+  return zones.find(zone => (zone.states || []).some(zoneState => normaliseState(zoneState) === wanted)) || null;
+};
+
+// Rate for a parcel in a zone: the first slab that fits the weight, or the
+// last slab plus extraPer500g for each started 500g above it
+const getSlabRate = (zone, weight) => {
+  const slab = zone.slabs.find(s => weight <= s.maxWeight);
+  if (slab) return slab.rate;
+
+  const last = zone.slabs[zone.slabs.length - 1];
+  return last.rate + Math.ceil((weight - last.maxWeight) / 500) * (zone.extraPer500g || 0);
+};
+
+// Shipping for goods worth subtotal weighing weight grams, sent to pincode
+// (and state, when known). Without a pincode, or with no zones configured,
+// the flat shippingFee and freeShippingThreshold of the 'shipping' setting apply.
+// A null subtotal (value unknown) never ships free; an empty one always does.
+// Resolves to { serviceable, cost, rate } where rate describes what was
+// applied: { zone, zoneName, weight, rate, freeShippingThreshold, etaDays }.
+// An unserviceable destination has cost null and a message.
+const quoteShipping = async ({ subtotal = null, weight = 0, pincode = null, state = null }) => {
+  const settings = await getSetting('shipping');
+  const zones = settings.zones || [];
+  const isFree = (threshold) => subtotal !== null &&
+    (subtotal <= 0 || (threshold !== null && threshold !== undefined && subtotal >= threshold));
+
+  if (!pincode || zones.length === 0) {
+    const rate = {
+      zone: null,
+      zoneName: null,
+      weight,
+      rate: settings.shippingFee,
+      freeShippingThreshold: settings.freeShippingThreshold,
+      etaDays: null
+    };
+    return { serviceable: true, cost: isFree(rate.freeShippingThreshold) ? 0 : rate.rate, rate };
+  }
+
+  const zone = findZone(zones, { pincode, state });
+  if (!zone) {
+    return {
+      serviceable: false,
+      cost: null,
+      rate: null,
+      message: `We don't deliver to pincode ${pincode} yet`
+    };
+  }
+
+  const rate = {
+    zone: zone.code,
+    zoneName: zone.name,
+    weight,
+    rate: getSlabRate(zone, weight),
+    freeShippingThreshold: zone.freeShippingThreshold,
+    etaDays: zone.etaDays
+  };
+  return { serviceable: true, cost: isFree(rate.freeShippingThreshold) ? 0 : rate.rate, rate };
+};
+
+// Shipping cost of an order under the rate stored when it was placed
+const applyShippingRate = (rate, subtotal) => {
+  if (subtotal <= 0) return 0;
+  const threshold = rate.freeShippingThreshold;
+  return threshold !== null && threshold !== undefined && subtotal >= threshold ? 0 : rate.rate;
+};
+
+module.exports = {
+  getUnitWeight,
+  findZone,
+  getSlabRate,
+  quoteShipping,
+  applyShippingRate
+};
@@ -0,0 +1,86 @@
+const config = require('../config/config');
+
+// GST slabs a product can be taxed at, in percent
+const GST_RATES = [0, 5, 12, 18, 28, 40];
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// GST rate (percent) for a product: its own gstRate, else its category's
+// (config.tax.rateByCategory), else config.tax.defaultRate
+const getGstRate = ({ gstRate, category } = {}) => {
+  if (gstRate !== undefined && gstRate !== null) return gstRate;
+  const { rateByCategory, defaultRate } = config.tax;
+  return rateByCategory[category] !== undefined ? rateByCategory[category] : defaultRate;
+};
+
+// 'intra' when goods ship within the seller's state (CGST + SGST), otherwise
+// 'inter' (IGST). Without a configured seller state every sale is inter-state.
+const getSupplyType = (shippingState) => {
+  const sellerState = normaliseState(config.invoice.seller.state);
+  return sellerState && normaliseState(shippingState) === sellerState ? 'intra' : 'inter';
+};
+
+// GST on one amount; with inclusive the amount already contains the tax.
+// Returns { rate, taxableValue, cgst, sgst, igst, amount }.
+const calculateTax = (value, rate, supplyType, inclusive) => {
+  const taxableValue = inclusive ? roundCurrency(value * 100 / (100 + rate)) : roundCurrency(value);
+  const amount = inclusive ? roundCurrency(value - taxableValue) : roundCurrency(value * rate / 100);
+  const cgst = supplyType === 'intra' ? roundCurrency(amount / 2) : 0;
+
+  return {
+    rate,
+    taxableValue,
+    cgst,
+    sgst: supplyType === 'intra' ? roundCurrency(amount - cgst) : 0,
+    igst: supplyType === 'intra' ? 0 : amount,
+    amount
+  };
+};
+
+// GST for an order. lines are [{ price, quantity, gstRate }]; the discount is
+// spread over them in proportion to value, as GST is due on the discounted
+// price. charges (shipping and COD fee) follow the principal supply and are
+// taxed at the highest line rate.
+// Returns { supplyType, inclusive, lines, charges, taxableValue, cgst, sgst, igst, total }
+// where lines[i] is the tax on lines[i] and charges is null without charges.
+const calculateOrderTax = ({ lines, discount = 0, charges = 0, shippingState, inclusive = config.tax.pricesIncludeTax }) => {
+  const supplyType = getSupplyType(shippingState);
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const discountRatio = subtotal > 0 ? Math.min(discount / subtotal, 1) : 0;
+
+  // Discounted line values, with the rounding remainder on the last line
+  const values = lines.map(line => roundCurrency(line.price * line.quantity * (1 - discountRatio)));
+  if (values.length > 0) {
+    const remainder = roundCurrency(subtotal - Math.min(discount, subtotal) - values.reduce((sum, value) => sum + value, 0));
+    values[values.length - 1] = roundCurrency(values[values.length - 1] + remainder);
+  }
+
+  const lineTaxes = lines.map((line, index) => calculateTax(values[index], line.gstRate, supplyType, inclusive));
+  const chargesRate = Math.max(0, ...lines.map(line => line.gstRate));
+  const chargesTax = charges > 0 ? calculateTax(charges, chargesRate, supplyType, inclusive) : null;
+
+  const all = chargesTax ? [...lineTaxes, chargesTax] : lineTaxes;
+  const sum = (field) => roundCurrency(all.reduce((total, tax) => total + tax[field], 0));
+
+  return {
+    supplyType,
+    inclusive,
+    lines: lineTaxes,
+    charges: chargesTax,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    total: sum('amount')
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  getGstRate,
+  getSupplyType,
+  calculateTax,
+  calculateOrderTax
+};
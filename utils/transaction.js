@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+// null until the first attempt tells us whether the deployment supports transactions
+let transactionsSupported = null;
+
+// Standalone mongod rejects sessions in transactions with IllegalOperation (code 20)
+const isTransactionUnsupportedError = (error) => {
+  if (!error) return false;
+  return error.code === 20 || /Transaction numbers are only allowed|replica set member or mongos/i.test(error.message || '');
+};
+
+// Run fn(session, onRollback) atomically.
+// On a replica set fn runs inside a transaction and onRollback is a no-op.
+// On a standalone server fn runs without a session; undo steps registered with
+// onRollback(undoFn) are executed in reverse order if fn throws.
+const runInTransaction = async (fn) => {
+  if (transactionsSupported !== false) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session, () => {});
+      });
+      transactionsSupported = true;
+      return result;
+    } catch (error) {
+      if (!isTransactionUnsupportedError(error)) {
+        throw error;
+      }
+      transactionsSupported = false;
+      logger.warn('MongoDB transactions are not available; using compensating rollbacks instead');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const rollbacks = [];
+  try {
+    return await fn(null, (undo) => rollbacks.push(undo));
+  } catch (error) {
+    for (const undo of rollbacks.reverse()) {
+      try {
+        await undo();
+      } catch (undoError) {
+        logger.error('Rollback step failed:', undoError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  runInTransaction
+};